@@ -1,44 +1,174 @@
-// Background orchestrates tab capture + offscreen audio worker
+// Background orchestrates tab capture + offscreen audio worker.
+// Each meeting tab gets its own session; the offscreen document runs one pipeline per tab.
+//
+// Session lifecycle (absent = idle):
+//   starting → running ⇄ reconnecting → stopping → (removed)
+// Any state can fail into 'error', which tears the pipeline down and removes the session.
+// Sessions are mirrored to chrome.storage.session so a restarted service worker picks
+// them up again and reconciles them against what the offscreen document is really running.
+//
+// Translation also runs here: the overlay sends TRANSLATE and only ever sees the result,
+// so provider credentials stay out of the meeting page.
+
+import { TRANSLATION_CONFIG_KEYS, getTranslationProvider, translationErrorKind } from './translators.js';
+import { normalizeGlossary, protectGlossaryTerms, stripGlossaryMarkup } from './glossary.js';
 
 const OFFSCREEN_URL = 'offscreen.html';
-let offscreenCreated = false;
-let currentTabId = null;
+
+const SESSION_TRANSITIONS = {
+  starting: ['running', 'reconnecting', 'stopping', 'error'],
+  running: ['reconnecting', 'stopping', 'error'],
+  reconnecting: ['running', 'stopping', 'error'],
+  stopping: [],
+  error: ['stopping']
+};
+
+// Active sessions keyed by tab ID: { tabId, title, url, startedAt, state, status }
+const sessions = new Map();
+const restored = restoreSessions();
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
+    await restored;
     try {
+      if (msg?.type === 'TRANSLATE') {
+        sendResponse(await translate(msg, sender.tab?.id));
+        return;
+      }
+      if (msg?.type === 'GET_LANGUAGES') {
+        sendResponse(await getLanguages(msg.refresh === true));
+        return;
+      }
+      if (msg?.type === 'TRANSLATE_CANCEL') {
+        inflightTranslations.get(`${sender.tab?.id}:${msg.id}`)?.abort();
+        return;
+      }
+      if (msg?.type === 'GET_STATUS') {
+        sendResponse({ sessions: [...sessions.values()] });
+        return;
+      }
       if (msg?.type === 'START_TRANSCRIBE') {
-        currentTabId = msg.tabId;
-        await ensureOffscreen();
-        await startTranscription(currentTabId);
-        await postStatus('Running');
+        await startSession(msg.tabId);
+        await postStatus('Running', msg.tabId);
+        sendResponse({ ok: true });
       }
       if (msg?.type === 'STOP_TRANSCRIBE') {
-        await stopAll();
-        await postStatus('Stopped');
+        // Without a tab ID every session is stopped
+        const tabIds = msg.tabId != null ? [msg.tabId] : [...sessions.keys()];
+        for (const tabId of tabIds) {
+          const stats = await stopSession(tabId);
+          await postStatus(describeStop(stats), tabId);
+        }
+        sendResponse({ ok: true });
+      }
+      if (msg?.type === 'STATUS_UPDATE' && sessions.has(msg.tabId)) {
+        // Offscreen status for a session; keep it for the popup's session list
+        sessions.get(msg.tabId).status = msg.text;
+        await persistSessions();
+      }
+      if (msg?.type === 'SESSION_STATE') {
+        await onSessionState(msg.tabId, msg.state, msg.text);
       }
     } catch (e) {
-      await postStatus(`Error: ${e.message}`);
+      await postStatus(`Error: ${e.message}`, msg?.tabId);
+      sendResponse({ error: e.message });
     }
   })();
+  // Keep the channel open for the requests the popup awaits
+  return ['TRANSLATE', 'GET_LANGUAGES', 'GET_STATUS', 'START_TRANSCRIBE', 'STOP_TRANSCRIBE'].includes(msg?.type);
 });
 
+async function restoreSessions() {
+  try {
+    const { sessions: stored } = await chrome.storage.session.get('sessions');
+    if (!stored || Object.keys(stored).length === 0) return;
+
+    // Only keep what the offscreen document still has a pipeline for
+    let live = [];
+    if (await chrome.offscreen.hasDocument?.()) {
+      try { live = (await chrome.runtime.sendMessage({ type: 'OFFSCREEN_LIST' })) || []; } catch {}
+    }
+    for (const session of Object.values(stored)) {
+      if (live.includes(session.tabId) && session.state !== 'stopping') {
+        sessions.set(session.tabId, session);
+      }
+    }
+    console.log(`Restored ${sessions.size} of ${Object.keys(stored).length} sessions after restart`);
+    await persistSessions();
+    await closeOffscreenIfIdle();
+  } catch (e) {
+    console.warn('Could not restore sessions:', e);
+  }
+}
+
+async function persistSessions() {
+  try {
+    await chrome.storage.session.set({ sessions: Object.fromEntries(sessions) });
+  } catch {}
+}
+
+async function transition(tabId, state, text) {
+  const session = sessions.get(tabId);
+  if (!session) return false;
+  if (!SESSION_TRANSITIONS[session.state].includes(state)) return false;
+  session.state = state;
+  if (text) session.status = text;
+  await persistSessions();
+  return true;
+}
+
+// Offscreen reports socket health; a pipeline that gave up is torn down
+async function onSessionState(tabId, state, text) {
+  if (!(await transition(tabId, state, text))) return;
+  if (state === 'error') {
+    await stopSession(tabId);
+    await postStatus(`Error: ${text}`, tabId);
+  }
+}
+
 async function ensureOffscreen() {
-  if (offscreenCreated) return;
   const has = await chrome.offscreen.hasDocument?.();
   if (!has) {
     await chrome.offscreen.createDocument({
       url: OFFSCREEN_URL,
-      reasons: ['AUDIO_PLAYBACK', 'BLOBS'],
-      justification: 'Maintain WebSocket + audio processing for Deepgram transcription.'
+      reasons: ['AUDIO_PLAYBACK', 'BLOBS', 'USER_MEDIA'],
+      justification: 'Maintain WebSocket + audio processing for live transcription.'
     });
   }
-  offscreenCreated = true;
+}
+
+async function startSession(tabId) {
+  if (sessions.has(tabId)) throw new Error('This tab is already being transcribed.');
+  let title = `Tab ${tabId}`;
+  let url = '';
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    title = tab.title || title;
+    url = tab.url || '';
+  } catch {}
+  sessions.set(tabId, { tabId, title, url, startedAt: Date.now(), state: 'starting', status: 'Starting' });
+  await persistSessions();
+  try {
+    await ensureOffscreen();
+    await startTranscription(tabId);
+    // The socket may already have reported in (or dropped into 'reconnecting'); only move on from 'starting'
+    if (sessions.get(tabId)?.state === 'starting') await transition(tabId, 'running', 'Running');
+  } catch (e) {
+    sessions.delete(tabId);
+    await persistSessions();
+    await closeOffscreenIfIdle();
+    throw e;
+  }
 }
 
 async function startTranscription(tabId) {
-  const { dgApiKey } = await chrome.storage.local.get('dgApiKey');
-  if (!dgApiKey) throw new Error('Deepgram API key is not set. Open Options to configure.');
+  const { dgApiKey, sttProvider = 'deepgram', customSttUrl, transcriptionSettings, captureMic, vadGate, glossary } =
+    await chrome.storage.local.get(['dgApiKey', 'sttProvider', 'customSttUrl', 'transcriptionSettings', 'captureMic', 'vadGate', 'glossary']);
+  if (sttProvider === 'custom') {
+    if (!customSttUrl) throw new Error('Speech server URL is not set. Open Options to configure.');
+  } else if (!dgApiKey) {
+    throw new Error('Deepgram API key is not set. Open Options to configure.');
+  }
   const streamId = await new Promise((resolve, reject) => {
     try {
       chrome.tabCapture.getMediaStreamId({ targetTabId: tabId }, (id) => {
@@ -47,34 +177,244 @@ async function startTranscription(tabId) {
       });
     } catch (e) { reject(e); }
   });
-  await chrome.runtime.sendMessage({ type: 'OFFSCREEN_START', streamId, dgApiKey });
+  const result = await chrome.runtime.sendMessage({
+    type: 'OFFSCREEN_START',
+    tabId,
+    streamId,
+    stt: {
+      provider: sttProvider,
+      apiKey: dgApiKey,
+      url: customSttUrl,
+      transcription: transcriptionSettings,
+      glossaryTerms: normalizeGlossary(glossary).map(entry => entry.term)
+    },
+    captureMic: captureMic === true,
+    vadGate
+  });
+  if (result?.error) throw new Error(result.error);
+}
+
+// Resolves with the offscreen session stats ({ capturedSeconds, silenceSkippedSeconds, droppedSeconds }) if it was running
+async function stopSession(tabId) {
+  if (!sessions.has(tabId)) return null;
+  await transition(tabId, 'stopping', 'Stopping');
+  let stats = null;
+  try { stats = await chrome.runtime.sendMessage({ type: 'OFFSCREEN_STOP', tabId }); } catch {}
+  // Lets the overlay drop pending work and report its translation savings
+  try { await chrome.tabs.sendMessage(tabId, { type: 'SESSION_ENDED' }); } catch {}
+  sessions.delete(tabId);
+  await persistSessions();
+  await closeOffscreenIfIdle();
+  return stats;
 }
 
-async function stopAll() {
-  try { await chrome.runtime.sendMessage({ type: 'OFFSCREEN_STOP' }); } catch {}
+// The offscreen document only lives while at least one session is running
+async function closeOffscreenIfIdle() {
+  if (sessions.size > 0) return;
   try {
     const has = await chrome.offscreen.hasDocument?.();
     if (has) await chrome.offscreen.closeDocument();
   } catch {}
-  offscreenCreated = false;
 }
 
-async function postStatus(text) {
-  chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', text }).catch(() => {});
+function describeStop(stats) {
+  if (!stats) return 'Stopped';
+  const parts = ['Stopped'];
+  if (stats.silenceSkippedSeconds) {
+    const skipped = Math.round(stats.silenceSkippedSeconds);
+    const percent = Math.round((stats.silenceSkippedSeconds / stats.capturedSeconds) * 100);
+    console.log(`Silence gate skipped ${skipped}s of ${Math.round(stats.capturedSeconds)}s captured audio`);
+    parts.push(`skipped ${skipped}s of silence (${percent}%)`);
+  }
+  if (stats.droppedSeconds) {
+    parts.push(`dropped ${Math.round(stats.droppedSeconds)}s of stale audio`);
+  }
+  return parts.join(' · ');
+}
+
+async function postStatus(text, tabId) {
+  chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', tabId, text }).catch(() => {});
+}
+
+// ---------- Translation ----------
+const TRANSLATION_CACHE_MAX = 500;
+const TRANSLATION_MAX_ATTEMPTS = 3;
+const TRANSLATION_RETRY_BASE_MS = 500;   // Doubled on every further attempt
+const TRANSLATION_RETRY_MAX_WAIT_MS = 5000; // A longer Retry-After fails now rather than stalling the transcript
+const TRANSLATION_ATTEMPT_TIMEOUT_MS = 4000; // A request that hangs is abandoned and retried
+
+// LRU shared by every tab: a Map iterates in insertion order, so the first key is the oldest
+const translationCache = new Map();
+// `${tabId}:${requestId}` -> AbortController, so the overlay can cancel stale interims
+const inflightTranslations = new Map();
+// Set from a rate-limited response's Retry-After; every request holds off until then
+let translationBackoffUntil = 0;
+
+function cacheTranslation(key, value) {
+  translationCache.delete(key);
+  translationCache.set(key, value);
+  if (translationCache.size > TRANSLATION_CACHE_MAX) {
+    translationCache.delete(translationCache.keys().next().value);
+  }
 }
 
-// Relay Deepgram transcript messages from offscreen to content on the active Meet tab
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Rate limits, network trouble (timeouts included) and server errors are worth another try;
+// the rest will fail the same way
+function isRetryableTranslationError(error) {
+  const kind = translationErrorKind(error);
+  return error.status === 429 || kind === 'network' || (kind === 'service' && error.status >= 500);
+}
+
+async function translateWithRetry(provider, request, config, signal) {
+  for (let attempt = 1; ; attempt++) {
+    const backoff = translationBackoffUntil - Date.now();
+    if (backoff > 0) await abortableDelay(backoff, signal);
+    try {
+      return await provider.translate(request, config, AbortSignal.any([signal, AbortSignal.timeout(TRANSLATION_ATTEMPT_TIMEOUT_MS)]));
+    } catch (e) {
+      // Cancelled, or the caller's deadline passed
+      if (signal.aborted) throw signal.reason;
+      if (attempt >= TRANSLATION_MAX_ATTEMPTS || !isRetryableTranslationError(e)) throw e;
+      const wait = e.retryAfterMs ?? TRANSLATION_RETRY_BASE_MS * 2 ** (attempt - 1);
+      if (wait > TRANSLATION_RETRY_MAX_WAIT_MS) throw e;
+      if (e.status === 429) translationBackoffUntil = Math.max(translationBackoffUntil, Date.now() + wait);
+      console.warn(`${provider.name} failed (${e.message}), retrying in ${wait} ms`);
+      await abortableDelay(wait, signal);
+    }
+  }
+}
+
+// Answers { text, detectedSource, provider, cached }, { aborted: true } or { error, errorKind, provider }
+// `timeoutMs` bounds the whole request, retries included
+async function translate({ id, text, target, source = 'auto', context, timeoutMs }, tabId) {
+  // Registered before the first await, so a cancel that arrives while the config loads still counts
+  const requestKey = `${tabId}:${id}`;
+  const controller = new AbortController();
+  inflightTranslations.set(requestKey, controller);
+  try {
+    const config = await chrome.storage.local.get([...TRANSLATION_CONFIG_KEYS, 'glossary']);
+    if (controller.signal.aborted) return { aborted: true };
+    const provider = getTranslationProvider(config.translationProvider);
+    // Context only changes the result for providers that use it
+    const usedContext = provider.supportsContext && context ? context : '';
+    const key = `${provider.id}|${source}|${target}|${usedContext}|${text.trim()}`;
+    if (translationCache.has(key)) {
+      const cached = translationCache.get(key);
+      cacheTranslation(key, cached);
+      return { ...cached, provider: provider.name, cached: true };
+    }
+
+    try {
+      // Glossary terms go out pre-translated and marked translate="no"
+      const request = protectGlossaryTerms(text, normalizeGlossary(config.glossary), target);
+      const signal = timeoutMs ? AbortSignal.any([controller.signal, AbortSignal.timeout(timeoutMs)]) : controller.signal;
+      const result = await translateWithRetry(provider, { ...request, target, source, context: usedContext }, config, signal);
+      if (request.html) result.text = stripGlossaryMarkup(result.text);
+      if (result.text) cacheTranslation(key, result);
+      return { ...result, provider: provider.name, cached: false };
+    } catch (e) {
+      if (e.name === 'AbortError') return { aborted: true };
+      if (e.name === 'TimeoutError') return { error: 'Translation timed out', errorKind: 'network', provider: provider.name };
+      return { error: e.message, errorKind: translationErrorKind(e), provider: provider.name };
+    }
+  } finally {
+    inflightTranslations.delete(requestKey);
+  }
+}
+
+// ---------- Target languages ----------
+const LANGUAGE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Offered when the provider's list can't be fetched and nothing is cached (no key yet, offline)
+const FALLBACK_LANGUAGES = [
+  { code: 'ar', name: 'Arabic' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'es', name: 'Spanish' }
+];
+
+// Answers { languages: [{ code, name }], provider, error? }; a stale or fallback list comes with the error
+async function getLanguages(refresh) {
+  const config = await chrome.storage.local.get([...TRANSLATION_CONFIG_KEYS, 'languageCache']);
+  const provider = getTranslationProvider(config.translationProvider);
+  const cache = config.languageCache?.provider === provider.id ? config.languageCache : null;
+  if (cache && !refresh && Date.now() - cache.fetchedAt < LANGUAGE_CACHE_TTL_MS) {
+    return { languages: cache.languages, provider: provider.name };
+  }
+  try {
+    const languages = (await provider.languages(config)).sort((a, b) => a.name.localeCompare(b.name));
+    await chrome.storage.local.set({ languageCache: { provider: provider.id, fetchedAt: Date.now(), languages } });
+    return { languages, provider: provider.name };
+  } catch (e) {
+    return { languages: cache?.languages || FALLBACK_LANGUAGES, provider: provider.name, error: e.message };
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  // Cached translations were made with the old glossary
+  if (changes.glossary) translationCache.clear();
+  // Another provider or server may support other languages
+  if (changes.translationProvider || changes.libreTranslateUrl) chrome.storage.local.remove('languageCache');
+});
+
+// ---------- Tab lifecycle ----------
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await restored;
+  if (sessions.has(tabId)) await stopSession(tabId);
+});
+
+// Leaving the meeting site ends the session; in-app route changes do not
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  await restored;
+  const session = sessions.get(tabId);
+  if (!session?.url) return;
+  let sameSite = false;
+  try { sameSite = new URL(changeInfo.url).origin === new URL(session.url).origin; } catch {}
+  if (sameSite) return;
+  const stats = await stopSession(tabId);
+  await postStatus(`${describeStop(stats)} (left the meeting page)`, tabId);
+});
+
+// ---------- Offscreen relay ----------
+// Relay transcript messages from offscreen to the content script of the tab they were captured from.
+// The offscreen document keeps this port open; losing it while sessions exist means it is gone.
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'offscreen-port') return;
   port.onMessage.addListener(async (msg) => {
-    if (msg?.type === 'DG_TRANSCRIPT_FINAL' || msg?.type === 'DG_TRANSCRIPT_INTERIM') {
-      if (currentTabId) {
+    if (['DG_TRANSCRIPT_FINAL', 'DG_TRANSCRIPT_INTERIM', 'DG_SPEECH_STARTED'].includes(msg?.type)) {
+      await restored;
+      if (sessions.has(msg.tabId)) {
         try {
-          await chrome.tabs.sendMessage(currentTabId, msg);
+          await chrome.tabs.sendMessage(msg.tabId, msg);
         } catch {}
       }
     }
   });
+  port.onDisconnect.addListener(async () => {
+    await restored;
+    if (sessions.size === 0 || (await chrome.offscreen.hasDocument?.())) return;
+    for (const tabId of [...sessions.keys()]) {
+      sessions.delete(tabId);
+      await postStatus('Error: audio pipeline stopped unexpectedly', tabId);
+    }
+    await persistSessions();
+  });
 });
-
-
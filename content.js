@@ -151,16 +151,16 @@ function updateCurrentSpeaker(trackId) {
   console.log(`[Speaker Detection] Active speaker: ${trackId} (volume: ${trackInfo.volume.toFixed(3)})`);
   
   // Update speaker indicator with activity
-  const indicator = document.getElementById("speaker-detection-status");
+  const indicator = overlayElement("speaker-detection-status");
   if (indicator) {
-    indicator.innerHTML = "🎤"; // Microphone when someone is speaking
-    indicator.style.opacity = "1";
+    indicator.textContent = "🎤"; // Microphone when someone is speaking
+    indicator.classList.add("speaking");
     
     // Reset to group icon after 2 seconds of inactivity
     setTimeout(() => {
       if (currentSpeaker === trackId && !trackInfo.isActive) {
-        indicator.innerHTML = "👥";
-        indicator.style.opacity = "0.8";
+        indicator.textContent = "👥";
+        indicator.classList.remove("speaking");
       }
     }, 2000);
   }
@@ -217,9 +217,9 @@ function cleanupRemovedTracks() {
 
 // Update speaker detection status indicator
 function updateSpeakerDetectionStatus() {
-  const indicator = document.getElementById("speaker-detection-status");
+  const indicator = overlayElement("speaker-detection-status");
   if (indicator) {
-    indicator.style.opacity = participantTracks.size > 0 ? "0.8" : "0.3";
+    indicator.classList.toggle("active", participantTracks.size > 0);
     indicator.title = participantTracks.size > 0 ? 
       `Speaker Detection: Active (${participantTracks.size} tracks)` : 
       "Speaker Detection: Waiting for participants";
@@ -228,26 +228,6 @@ function updateSpeakerDetectionStatus() {
 
 // ===== End Speaker Detection System =====
 
-// ⚠️ Your Google Cloud Translate API key
-let GOOGLE_API_KEY = "";
-
-try {
-  chrome.storage.local.get("googleApiKey", (data) => {
-    if (chrome.runtime.lastError) {
-      console.warn("⚠️ Could not access storage for Google API key");
-      return;
-    }
-    if (data.googleApiKey) {
-      GOOGLE_API_KEY = data.googleApiKey;
-      console.log("Loaded Google Translate API key:", GOOGLE_API_KEY);
-    } else {
-      console.warn("⚠️ No Google Translate API key found in options");
-    }
-  });
-} catch (error) {
-  console.warn("⚠️ Extension context invalidated - could not load Google API key");
-}
-
 // Detect current meeting platform
 function detectMeetingPlatform() {
   const hostname = window.location.hostname;
@@ -263,15 +243,16 @@ function detectMeetingPlatform() {
 
 // Get platform-specific positioning
 function getPlatformPositioning(platform) {
+  // captionBottom clears the platform's bottom control bar in caption mode
   const positions = {
-    'google-meet': { top: '20px', right: '20px' },
-    'zoom': { top: '80px', right: '20px' }, // Avoid Zoom's top controls
-    'teams': { top: '70px', right: '20px' }, // Avoid Teams header
-    'webex': { top: '60px', right: '20px' },
-    'slack': { top: '50px', right: '20px' },
-    'gotomeeting': { top: '60px', right: '20px' },
-    'bluejeans': { top: '60px', right: '20px' },
-    'unknown': { top: '20px', right: '20px' }
+    'google-meet': { top: '20px', right: '20px', captionBottom: '96px' },
+    'zoom': { top: '80px', right: '20px', captionBottom: '80px' }, // Avoid Zoom's top controls
+    'teams': { top: '70px', right: '20px', captionBottom: '40px' }, // Avoid Teams header; its controls are on top
+    'webex': { top: '60px', right: '20px', captionBottom: '100px' },
+    'slack': { top: '50px', right: '20px', captionBottom: '90px' },
+    'gotomeeting': { top: '60px', right: '20px', captionBottom: '90px' },
+    'bluejeans': { top: '60px', right: '20px', captionBottom: '90px' },
+    'unknown': { top: '20px', right: '20px', captionBottom: '80px' }
   };
   return positions[platform] || positions['unknown'];
 }
@@ -289,101 +270,923 @@ if (['google-meet', 'zoom', 'teams'].includes(currentPlatform)) {
   console.log(`[Speaker Detection] Lightweight speaker detection initialized for ${currentPlatform}`);
 }
 
-// Default target language (will be overridden if user sets one in popup)
-let TARGET_LANG = "hi";
+// Target languages in display order (will be overridden by the popup's selection).
+// Every final is translated into all of them; hidden ones are only skipped when rendering.
+let TARGET_LANGS = ["hi"];
+let hiddenTargetLangs = [];
+
+// Hidden languages that still apply: ones no longer targeted drop out, and hiding every
+// target (e.g. the only visible one was removed in the popup) shows them all again
+function activeHiddenLangs() {
+  const hidden = hiddenTargetLangs.filter(lang => TARGET_LANGS.includes(lang));
+  return hidden.length < TARGET_LANGS.length ? hidden : [];
+}
+
+// Interims go to a single language to keep requests down: the first visible one
+function primaryTargetLang() {
+  return visibleTargetLangs()[0] || TARGET_LANGS[0];
+}
 
-// Load stored language if user selected via popup/options
+function visibleTargetLangs() {
+  const hidden = activeHiddenLangs();
+  return TARGET_LANGS.filter(lang => !hidden.includes(lang));
+}
+
+// Load stored languages if user selected via popup (older versions stored a single targetLang)
 try {
-  chrome.storage.sync.get("targetLang", (data) => {
+  chrome.storage.sync.get(["targetLangs", "targetLang", "hiddenTargetLangs"], (data) => {
     if (chrome.runtime.lastError) {
       console.warn("⚠️ Could not access storage for target language");
       return;
     }
-    if (data.targetLang) {
-      TARGET_LANG = data.targetLang;
-      console.log("🔤 Loaded target language from storage:", TARGET_LANG);
-    } else {
-      console.log("🔤 Using default target language:", TARGET_LANG);
+    if (data.targetLangs?.length) {
+      TARGET_LANGS = data.targetLangs;
+    } else if (data.targetLang) {
+      TARGET_LANGS = [data.targetLang];
     }
+    hiddenTargetLangs = data.hiddenTargetLangs || [];
+    console.log("🔤 Target languages:", TARGET_LANGS.join(", "));
+    renderLanguageToggles();
   });
 } catch (error) {
   console.warn("⚠️ Extension context invalidated - could not load target language");
 }
 
-// Also watch for runtime changes (user switching language while Meet is open)
+// Also watch for runtime changes (user switching languages while Meet is open)
 try {
   chrome.storage.onChanged.addListener((changes) => {
-    if (changes.targetLang?.newValue) {
-      TARGET_LANG = changes.targetLang.newValue;
-      console.log("🔄 Target language switched to:", TARGET_LANG);
+    if (changes.targetLangs?.newValue) {
+      TARGET_LANGS = changes.targetLangs.newValue;
+      console.log("🔄 Target languages switched to:", TARGET_LANGS.join(", "));
+    }
+    if (changes.hiddenTargetLangs) {
+      hiddenTargetLangs = changes.hiddenTargetLangs.newValue || [];
+    }
+    if (changes.targetLangs || changes.hiddenTargetLangs) {
+      renderLanguageToggles();
+      if (translationSegments.length > 0) updateTranslationDisplay();
     }
   });
 } catch (error) {
   console.warn("⚠️ Extension context invalidated - could not add storage change listener");
 }
 
-async function translateText(text, targetLang = TARGET_LANG, sourceLang = 'auto') {
+// Optional badge with the spoken language in front of each segment
+let showLanguageBadge = false;
+
+try {
+  chrome.storage.sync.get("showLanguageBadge", (data) => {
+    if (chrome.runtime.lastError) return;
+    showLanguageBadge = data.showLanguageBadge === true;
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    if (!changes.showLanguageBadge) return;
+    showLanguageBadge = changes.showLanguageBadge.newValue === true;
+    if (translationSegments.length > 0) updateTranslationDisplay();
+  });
+} catch (error) {
+  console.warn("⚠️ Extension context invalidated - could not load badge setting");
+}
+
+// What the overlay shows: the translation, what was said, or both, each sentence over its
+// translation (interleaved) or in two columns. Picked from the overlay header.
+const DISPLAY_MODES = {
+  translation: "Translation",
+  original: "Original",
+  interleaved: "Interleaved",
+  "side-by-side": "Side by side"
+};
+let displayMode = "translation";
+
+function setDisplayMode(mode) {
+  displayMode = DISPLAY_MODES[mode] ? mode : "translation";
+  const picker = overlayElement("display-mode-picker");
+  if (picker) picker.value = displayMode;
+  if (translationSegments.length > 0) updateTranslationDisplay();
+}
+
+try {
+  chrome.storage.sync.get("overlayDisplayMode", (data) => {
+    if (chrome.runtime.lastError) return;
+    setDisplayMode(data.overlayDisplayMode);
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.overlayDisplayMode) setDisplayMode(changes.overlayDisplayMode.newValue);
+  });
+} catch (error) {
+  console.warn("⚠️ Extension context invalidated - could not load display mode");
+}
+
+// ===== Source Language Routing =====
+// Speakers whose language auto-detection keeps flipping can be pinned from the overlay
+// (click the speaker label). Pins only last for this meeting page, like the speaker labels.
+const speakerLanguagePins = new Map(); // speaker label -> language code
+
+function baseLanguage(code) {
+  return code && code !== 'auto' ? code.split('-')[0].toLowerCase() : null;
+}
+
+// Scripts written right to left; their lines are laid out (and punctuated) from the right.
+// The pane aligns text to its start, so an RTL line also lines up on the right.
+const RTL_LANGUAGES = new Set(["ar", "he", "iw", "fa", "ur"]);
+
+function applyTextDirection(element, lang) {
+  element.dir = RTL_LANGUAGES.has(baseLanguage(lang)) ? "rtl" : "ltr";
+}
+
+function resolveSourceLanguage(speaker, detected) {
+  return speakerLanguagePins.get(speaker) || detected || 'auto';
+}
+
+// Same-language speech needs no translation; passing it through saves quota and avoids
+// "translating" English into slightly different English. Only a detected or pinned source
+// counts: 'auto' (nothing detected) always goes to the provider.
+function isSameLanguage(source, target) {
+  const from = baseLanguage(source);
+  return from !== null && from === baseLanguage(target);
+}
+
+// Last failed translation, reported to the popup's diagnostics panel
+let lastTranslationError = null;
+
+function noteTranslationError(message) {
+  lastTranslationError = { message, at: Date.now() };
+}
+
+// ===== Translation & Interim Scheduling =====
+// Translation runs in the background service worker (TRANSLATE), which owns the provider
+// credentials and the translation cache; this page only ever sees the translated text.
+const INTERIM_DEBOUNCE_MS = 300;  // Wait this long for an interim to settle before translating it...
+const INTERIM_MAX_WAIT_MS = 1000; // ...but refresh at least this often while someone keeps talking
+
+let translationRequestId = 0;
+let translationStats = newTranslationStats();
+let pendingInterim = null;    // Latest interim waiting for the debounce
+let interimTimer = null;
+let interimQueuedAt = 0;      // When the current debounce window started
+let interimController = null; // Aborts the interim request in flight
+
+function newTranslationStats() {
+  return { requests: 0, cacheHits: 0, interimsSkipped: 0, aborted: 0, passthrough: 0, failed: 0 };
+}
+
+// Resolves to the translation, or null if `signal` aborted it. A failed translation rejects with
+// an Error whose `kind` is auth, quota, network or service (see translators.js); the background
+// has already retried whatever was worth retrying.
+// `context` is the sentence spoken before, for providers that can use it; `timeoutMs` bounds the
+// whole request, retries included.
+async function translateText(text, targetLang, sourceLang = 'auto', { signal, context, timeoutMs } = {}) {
   if (!text || text.trim().length === 0) return "";
+  if (isSameLanguage(sourceLang, targetLang)) {
+    translationStats.passthrough++;
+    return text;
+  }
+  const id = ++translationRequestId;
+  // An unknown source is left to the provider's own detection
+  const source = baseLanguage(sourceLang) ? sourceLang : undefined;
+  const cancel = () => chrome.runtime.sendMessage({ type: "TRANSLATE_CANCEL", id }).catch(() => {});
+  signal?.addEventListener("abort", cancel, { once: true });
+
+  let response;
   try {
-    const url = `https://translation.googleapis.com/language/translate/v2?key=${GOOGLE_API_KEY}`;
-    
-    // Build request body with source language if provided
-    const requestBody = {
-      q: text,
-      target: targetLang,
-      format: "text"
-    };
-    
-    // Add source language if it's not 'auto' and is a valid language code
-    if (sourceLang && sourceLang !== 'auto') {
-      requestBody.source = sourceLang;
-    }
-    
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(requestBody)
-    });
+    response = await chrome.runtime.sendMessage({ type: "TRANSLATE", id, text, target: targetLang, source, context, timeoutMs });
+  } catch (e) {
+    // Extension context invalidated (extension reloaded under this page)
+    response = { error: e.message, provider: "Translation" };
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+  }
 
-    const data = await resp.json();
-    if (data.error) {
-      console.error("Translation API error:", data.error);
-      return text;
-    }
+  if (signal?.aborted || response?.aborted) {
+    translationStats.aborted++;
+    return null;
+  }
+  if (response?.cached) translationStats.cacheHits++;
+  else translationStats.requests++;
 
-    const sourceDetected = data.data?.translations?.[0]?.detectedSourceLanguage || sourceLang;
-    console.log(`🌍 Translated (${sourceDetected} → ${targetLang}):`, text, "→", data.data.translations[0].translatedText);
-    return data.data?.translations?.[0]?.translatedText || text;
-  } catch (e) {
-    console.error("Translation fetch error:", e);
-    return text;
+  // An empty translation is a service fault too, not a reason to show the source text as translated
+  if (!response || response.error || !response.text) {
+    const reason = !response ? "No response from the extension" : response.error || "Empty translation";
+    const message = `${response?.provider || "Translation"}: ${reason}`;
+    const kind = response?.errorKind || "service";
+    console.error(`Translation failed (${kind}):`, message);
+    translationStats.failed++;
+    noteTranslationError(message);
+    if (kind === "quota") showQuotaBanner(message);
+    throw Object.assign(new Error(message), { kind });
+  }
+  if (!response.cached) hideQuotaBanner();
+  console.log(`🌍 ${response.provider} (${response.detectedSource || sourceLang} → ${targetLang}):`, text, "→", response.text);
+  return response.text;
+}
+
+// A newer interim replaces the pending one. The request in flight keeps running until the
+// next one is actually sent, or the refresh would never answer while someone keeps talking.
+function scheduleInterimTranslation(msg) {
+  if (pendingInterim) translationStats.interimsSkipped++;
+  pendingInterim = msg;
+
+  const now = Date.now();
+  if (!interimTimer) interimQueuedAt = now;
+  clearTimeout(interimTimer);
+  const delay = Math.min(INTERIM_DEBOUNCE_MS, Math.max(0, interimQueuedAt + INTERIM_MAX_WAIT_MS - now));
+  interimTimer = setTimeout(flushInterimTranslation, delay);
+}
+
+async function flushInterimTranslation() {
+  interimTimer = null;
+  const msg = pendingInterim;
+  pendingInterim = null;
+  if (!msg) return;
+  // Whatever is still in flight is older than this
+  interimController?.abort();
+  interimController = null;
+
+  // Enhanced speaker identification for interim transcripts
+  let speaker = msg.speaker || "Speaker";
+  const activeSpeaker = msg.channel === MIC_CHANNEL ? null : getCurrentSpeaker();
+  if (msg.channel === MIC_CHANNEL) {
+    speaker = LOCAL_SPEAKER_LABEL;
+  } else if (activeSpeaker) {
+    const speakerNumber = Array.from(participantTracks.keys()).indexOf(activeSpeaker) + 1;
+    speaker = `Speaker ${speakerNumber}`;
+  }
+  const sourceLanguage = resolveSourceLanguage(speaker, msg.language);
+
+  // Nothing to translate when only what was said is on screen
+  if (displayMode === "original") {
+    showInterimTranslation(msg.text, speaker, sourceLanguage);
+    return;
   }
+
+  const controller = interimController = new AbortController();
+  // A failed interim keeps the previous one on screen; the final gets marked if it fails too
+  const translated = await translateText(msg.text, primaryTargetLang(), sourceLanguage, { signal: controller.signal })
+    .catch(() => null);
+  if (controller.signal.aborted) return;
+  interimController = null;
+  if (translated === null) return;
+
+  showInterimTranslation(translated, speaker, sourceLanguage);
+}
+
+// The final for this speech supersedes whatever interim is still pending or in flight
+function cancelInterimTranslation() {
+  clearTimeout(interimTimer);
+  interimTimer = null;
+  if (pendingInterim) translationStats.interimsSkipped++;
+  pendingInterim = null;
+  interimController?.abort();
+  interimController = null;
+}
+
+function reportTranslationStats() {
+  const { requests, cacheHits, interimsSkipped, aborted, passthrough, failed } = translationStats;
+  const saved = cacheHits + interimsSkipped + passthrough;
+  console.log(`💰 Translation requests: ${requests} sent, ${saved} saved (${cacheHits} cache hits, ${interimsSkipped} superseded interims, ${passthrough} already in the target language), ${aborted} cancelled in flight, ${failed} failed`);
+  translationStats = newTranslationStats();
+}
+
+// ===== Overlay Styles =====
+// The overlay lives in a closed shadow root (see ensureOverlayRoot), so the meeting page's CSS
+// can't reach it and ours can't leak out. Themes only swap the custom properties below; the
+// typography settings from Options arrive as --font-family, --font-size and --line-height.
+const OVERLAY_STYLES = `
+  :host {
+    --font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    --font-size: 16px;
+    --line-height: 1.6;
+
+    --pane-bg: rgba(30, 30, 30, 0.12);
+    --pane-border: rgba(255, 255, 255, 0.06);
+    --pane-shadow: 0 12px 40px rgba(0, 0, 0, 0.15);
+    --pane-blur: blur(20px);
+    --menu-bg: rgba(30, 30, 30, 0.95);
+    --text: rgba(255, 255, 255, 0.95);
+    --text-secondary: rgba(255, 255, 255, 0.75);
+    --text-muted: rgba(255, 255, 255, 0.6);
+    --text-faint: rgba(255, 255, 255, 0.4);
+    --divider: rgba(255, 255, 255, 0.08);
+    --control-bg: rgba(255, 255, 255, 0.08);
+    --control-border: rgba(255, 255, 255, 0.12);
+    --accent: rgba(100, 181, 246, 0.8);
+    --accent-soft: rgba(100, 181, 246, 0.2);
+    --accent-border: rgba(100, 181, 246, 0.35);
+    --warning: rgba(255, 183, 77, 0.95);
+    --warning-bg: rgba(255, 152, 0, 0.15);
+    --warning-border: rgba(255, 152, 0, 0.45);
+    --speaking: rgba(76, 175, 80, 0.95);
+    --speaking-glow: 0 0 6px rgba(76, 175, 80, 0.8);
+    --idle: rgba(255, 255, 255, 0.25);
+    --highlight: rgba(255, 235, 59, 0.3);
+    --highlight-current: rgba(255, 152, 0, 0.65);
+    --caption-text: white;
+    --caption-bg-rgb: 0, 0, 0;
+    --caption-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
+  }
+
+  :host([data-theme="light"]) {
+    --pane-bg: rgba(250, 250, 250, 0.94);
+    --pane-border: rgba(0, 0, 0, 0.08);
+    --pane-shadow: 0 12px 40px rgba(0, 0, 0, 0.2);
+    --menu-bg: rgba(255, 255, 255, 0.98);
+    --text: rgba(0, 0, 0, 0.9);
+    --text-secondary: rgba(0, 0, 0, 0.7);
+    --text-muted: rgba(0, 0, 0, 0.55);
+    --text-faint: rgba(0, 0, 0, 0.4);
+    --divider: rgba(0, 0, 0, 0.1);
+    --control-bg: rgba(0, 0, 0, 0.06);
+    --control-border: rgba(0, 0, 0, 0.15);
+    --accent: rgba(21, 101, 192, 0.9);
+    --accent-soft: rgba(21, 101, 192, 0.12);
+    --accent-border: rgba(21, 101, 192, 0.35);
+    --warning: rgba(191, 54, 12, 0.95);
+    --warning-bg: rgba(255, 152, 0, 0.15);
+    --warning-border: rgba(230, 81, 0, 0.5);
+    --speaking: rgba(46, 125, 50, 0.95);
+    --speaking-glow: 0 0 6px rgba(46, 125, 50, 0.6);
+    --idle: rgba(0, 0, 0, 0.2);
+    --highlight: rgba(255, 235, 59, 0.6);
+    --highlight-current: rgba(255, 152, 0, 0.7);
+    --caption-text: rgba(0, 0, 0, 0.9);
+    --caption-bg-rgb: 255, 255, 255;
+    --caption-shadow: none;
+  }
+
+  :host([data-theme="high-contrast"]) {
+    --pane-bg: #000;
+    --pane-border: #fff;
+    --pane-shadow: none;
+    --pane-blur: none;
+    --menu-bg: #000;
+    --text: #fff;
+    --text-secondary: #fff;
+    --text-muted: #ffeb3b;
+    --text-faint: #ffeb3b;
+    --divider: #fff;
+    --control-bg: #000;
+    --control-border: #fff;
+    --accent: #00e5ff;
+    --accent-soft: #003a40;
+    --accent-border: #00e5ff;
+    --warning: #ffd600;
+    --warning-bg: #000;
+    --warning-border: #ffd600;
+    --speaking: #76ff03;
+    --speaking-glow: none;
+    --idle: #888;
+    --highlight: #004d40;
+    --highlight-current: #c51162;
+    --caption-text: #fff;
+    --caption-bg-rgb: 0, 0, 0;
+    --caption-shadow: none;
+  }
+
+  [hidden] {
+    display: none !important;
+  }
+
+  button,
+  select {
+    font-family: inherit;
+  }
+
+  /* ----- Pane ----- */
+  .pane {
+    position: fixed;
+    width: 400px;
+    max-height: 65vh;
+    box-sizing: border-box;
+    padding: 20px 20px 28px; /* Extra bottom padding for the resize handle */
+    border-radius: 10px;
+    border: 1px solid var(--pane-border);
+    background: var(--pane-bg);
+    box-shadow: var(--pane-shadow);
+    backdrop-filter: var(--pane-blur);
+    -webkit-backdrop-filter: var(--pane-blur);
+    color: var(--text);
+    font-family: var(--font-family);
+    font-size: 16px;
+    text-align: start;
+    z-index: 2147483647;
+    overflow: hidden;
+    transition: opacity 0.2s ease, transform 0.2s ease;
+  }
+
+  .pane.dragging {
+    opacity: 0.8;
+    transform: scale(1.02);
+    transition: none;
+  }
+
+  .pane.resizing {
+    transition: none;
+  }
+
+  .pane-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: 16px;
+    padding-bottom: 12px;
+    border-bottom: 1px solid var(--divider);
+    cursor: move;
+    user-select: none;
+  }
+
+  .pane-title {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 17px;
+    font-weight: 500;
+    letter-spacing: 0.3px;
+    opacity: 0.9;
+  }
+
+  .drag-icon {
+    font-size: 12px;
+    line-height: 1;
+    letter-spacing: -2px;
+    opacity: 0.5;
+  }
+
+  .speaker-status {
+    font-size: 14px;
+    opacity: 0.3;
+  }
+
+  .speaker-status.active {
+    opacity: 0.8;
+  }
+
+  .speaker-status.speaking {
+    opacity: 1;
+  }
+
+  .speaking-indicator {
+    font-size: 12px;
+    color: var(--idle);
+    transition: color 0.2s ease, text-shadow 0.2s ease;
+  }
+
+  .speaking-indicator.speaking {
+    color: var(--speaking);
+    text-shadow: var(--speaking-glow);
+  }
+
+  .language-toggles {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-left: auto;
+    margin-right: 8px;
+  }
+
+  .lang-toggle {
+    cursor: pointer;
+    padding: 2px 6px;
+    border-radius: 4px;
+    border: 1px solid var(--control-border);
+    background: var(--accent-soft);
+    color: var(--text);
+    font-size: 11px;
+    opacity: 0.9;
+  }
+
+  .lang-toggle.off {
+    background: transparent;
+    opacity: 0.45;
+  }
+
+  .header-button {
+    cursor: pointer;
+    margin-left: 8px;
+    padding: 6px 14px;
+    border: none;
+    border-radius: 5px;
+    background: var(--control-bg);
+    color: var(--text);
+    font-size: 13px;
+    opacity: 0.7;
+    transition: opacity 0.2s ease;
+  }
+
+  .header-button:hover {
+    opacity: 1;
+  }
+
+  .header-button.compact {
+    padding: 6px 10px;
+    font-size: 12px;
+    font-weight: 600;
+  }
+
+  .header-select,
+  .pin-picker {
+    padding: 4px;
+    border-radius: 5px;
+    border: 1px solid var(--control-border);
+    background: var(--menu-bg);
+    color: var(--text);
+    font-size: 12px;
+  }
+
+  .pin-picker {
+    margin-left: 8px;
+    padding: 0;
+  }
+
+  .quota-banner:not([hidden]) {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 12px;
+    padding: 8px 10px;
+    border-radius: 6px;
+    border: 1px solid var(--warning-border);
+    background: var(--warning-bg);
+    color: var(--warning);
+    font-size: 13px;
+  }
+
+  .quota-banner-text {
+    flex: 1;
+  }
+
+  .banner-dismiss {
+    cursor: pointer;
+    border: none;
+    background: transparent;
+    color: inherit;
+    font-size: 12px;
+  }
+
+  .search-bar:not([hidden]) {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-bottom: 12px;
+  }
+
+  .search-input {
+    flex: 1;
+    min-width: 0;
+    padding: 4px 8px;
+    border-radius: 5px;
+    border: 1px solid var(--control-border);
+    background: var(--control-bg);
+    color: var(--text);
+    font-size: 13px;
+    outline: none;
+  }
+
+  .search-input:focus {
+    border-color: var(--accent-border);
+  }
+
+  .search-count {
+    font-size: 11px;
+    color: var(--text-muted);
+    white-space: nowrap;
+  }
+
+  .search-nav {
+    cursor: pointer;
+    padding: 2px 6px;
+    border-radius: 4px;
+    border: 1px solid var(--control-border);
+    background: transparent;
+    color: var(--text);
+    font-size: 12px;
+  }
+
+  .search-bar .header-select {
+    max-width: 110px;
+  }
+
+  .search-hit {
+    padding: 0 1px;
+    border-radius: 2px;
+    background: var(--highlight);
+    color: inherit;
+  }
+
+  .search-hit.current {
+    background: var(--highlight-current);
+    outline: 1px solid var(--highlight-current);
+  }
+
+  /* ----- Transcript ----- */
+  .transcript {
+    max-height: 55vh;
+    overflow-y: auto;
+    scrollbar-width: none;
+    color: var(--text);
+    font-size: var(--font-size);
+    line-height: var(--line-height);
+  }
+
+  .transcript::-webkit-scrollbar {
+    display: none;
+  }
+
+  .placeholder {
+    padding: 40px 20px;
+    text-align: center;
+    font-size: 0.9375em;
+    font-style: italic;
+    color: var(--text-faint);
+  }
+
+  .speaker-section {
+    margin-bottom: 8px;
+  }
+
+  .speaker-section + .speaker-section {
+    margin-top: 8px;
+  }
+
+  .speaker-label {
+    margin-bottom: 4px;
+    font-size: 0.8125em;
+    font-weight: 500;
+    color: var(--accent);
+    opacity: 0.9;
+    cursor: pointer;
+  }
+
+  .translation-line,
+  .original-line {
+    white-space: pre-wrap;
+    overflow-wrap: break-word;
+  }
+
+  .translation-line {
+    color: var(--text);
+  }
+
+  .translation-line.secondary {
+    margin-top: 4px;
+    font-size: 0.9375em;
+    color: var(--text-secondary);
+  }
+
+  .original-line {
+    font-size: 0.875em;
+    color: var(--text-muted);
+  }
+
+  .original-line.primary {
+    font-size: 1em;
+    color: var(--text);
+  }
+
+  .sentence-pair + .sentence-pair {
+    margin-top: 8px;
+  }
+
+  .bilingual-columns {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 12px;
+  }
+
+  .lang-tag,
+  .language-badge,
+  .untranslated-marker {
+    font-size: 10px;
+    vertical-align: middle;
+    border-radius: 3px;
+  }
+
+  .lang-tag {
+    margin-inline-end: 6px;
+    padding: 1px 4px;
+    font-weight: 600;
+    background: var(--control-bg);
+    color: var(--text-muted);
+  }
+
+  .language-badge {
+    margin-inline-end: 4px;
+    padding: 0 4px;
+    border: 1px solid var(--accent-border);
+    color: var(--accent);
+  }
+
+  .untranslated-marker {
+    cursor: pointer;
+    margin-inline-end: 4px;
+    padding: 0 4px;
+    border: 1px solid var(--warning-border);
+    background: var(--warning-bg);
+    color: var(--warning);
+  }
+
+  .untranslated-marker.retrying {
+    cursor: default;
+  }
+
+  .jump-to-live:not([hidden]) {
+    position: absolute;
+    left: 50%;
+    bottom: 16px;
+    transform: translateX(-50%);
+    cursor: pointer;
+    padding: 4px 12px;
+    border-radius: 12px;
+    border: 1px solid var(--accent-border);
+    background: var(--menu-bg);
+    color: var(--accent);
+    font-size: 12px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+  }
+
+  .interim {
+    margin-top: 12px;
+    padding-top: 8px;
+    border-top: 1px solid var(--divider);
+  }
+
+  .interim-speaker {
+    margin-bottom: 3px;
+    font-size: 0.75em;
+    font-weight: 500;
+    color: var(--accent);
+    opacity: 0.75;
+  }
+
+  .interim-text {
+    font-size: 0.9375em;
+    line-height: 1.5;
+    font-style: italic;
+    color: var(--text-muted);
+  }
+
+  /* ----- Resize handle ----- */
+  .resize-handle {
+    position: absolute;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    height: 8px;
+    cursor: ns-resize;
+    border-bottom: 2px solid var(--divider);
+    border-radius: 0 0 10px 10px;
+  }
+
+  .pane.resizing .resize-handle {
+    background: var(--accent-soft);
+  }
+
+  .resize-indicator {
+    position: absolute;
+    bottom: 2px;
+    left: 50%;
+    width: 30px;
+    height: 2px;
+    transform: translateX(-50%);
+    border-radius: 1px;
+    background: var(--text-faint);
+  }
+
+  /* ----- Captions ----- */
+  .captions {
+    --caption-font-size: 22px;
+    --caption-opacity: 0.6;
+    position: fixed;
+    left: 50%;
+    transform: translateX(-50%);
+    width: max-content;
+    max-width: min(80vw, 960px);
+    padding: 8px 18px;
+    border-radius: 8px;
+    background: rgba(var(--caption-bg-rgb), var(--caption-opacity));
+    color: var(--caption-text);
+    font-family: var(--font-family);
+    font-size: var(--caption-font-size);
+    line-height: 1.4;
+    text-align: center;
+    text-shadow: var(--caption-shadow);
+    z-index: 2147483647;
+    opacity: 0;
+    transition: opacity 0.4s ease;
+  }
+
+  .captions.visible,
+  .captions:hover {
+    opacity: 1;
+  }
+
+  .caption-speaker {
+    color: var(--accent);
+  }
+
+  .caption-interim {
+    font-style: italic;
+    opacity: 0.7;
+  }
+
+  /* Float above the bar and only show on hover */
+  .caption-controls {
+    position: absolute;
+    right: 0;
+    bottom: 100%;
+    display: flex;
+    gap: 4px;
+    padding-bottom: 4px;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+  }
+
+  .captions:hover .caption-controls {
+    opacity: 1;
+  }
+
+  .caption-button {
+    cursor: pointer;
+    padding: 2px 6px;
+    border-radius: 4px;
+    border: 1px solid var(--control-border);
+    background: var(--menu-bg);
+    color: var(--text);
+    font-size: 12px;
+    text-shadow: none;
+  }
+`;
+
+// ===== Overlay Root & Appearance =====
+// Everything we draw sits in one host element's closed shadow root. Theme and typography
+// come from Options (storage.sync) and only set attributes and custom properties on the host.
+const OVERLAY_THEMES = ["dark", "light", "high-contrast"];
+const OVERLAY_FONTS = {
+  system: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  readable: "Verdana, Tahoma, sans-serif",
+  mono: "ui-monospace, 'SF Mono', Menlo, Consolas, monospace"
+};
+// Mirrored in options.js
+const DEFAULT_APPEARANCE = { overlayTheme: "dark", overlayFontFamily: "system", overlayFontSize: 16, overlayLineHeight: 1.6 };
+
+let overlayHost = null;
+let overlayRoot = null;
+let overlayAppearance = { ...DEFAULT_APPEARANCE };
+
+function ensureOverlayRoot() {
+  if (overlayHost && document.body.contains(overlayHost)) return overlayRoot;
+  
+  overlayHost = document.createElement("div");
+  // Inherited page styles (fonts, colors, direction) stop at the host
+  overlayHost.style.setProperty("all", "initial", "important");
+  overlayRoot = overlayHost.attachShadow({ mode: "closed" });
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(OVERLAY_STYLES);
+  overlayRoot.adoptedStyleSheets = [sheet];
+  applyOverlayAppearance();
+  document.body.appendChild(overlayHost);
+  return overlayRoot;
+}
+
+// document.getElementById can't see into the closed root
+function overlayElement(id) {
+  return overlayRoot ? overlayRoot.getElementById(id) : null;
+}
+
+function applyOverlayAppearance() {
+  if (!overlayHost) return;
+  const { overlayTheme, overlayFontFamily, overlayFontSize, overlayLineHeight } = overlayAppearance;
+  overlayHost.dataset.theme = OVERLAY_THEMES.includes(overlayTheme) ? overlayTheme : DEFAULT_APPEARANCE.overlayTheme;
+  overlayHost.style.setProperty("--font-family", OVERLAY_FONTS[overlayFontFamily] || OVERLAY_FONTS.system);
+  overlayHost.style.setProperty("--font-size", `${Number(overlayFontSize) || DEFAULT_APPEARANCE.overlayFontSize}px`);
+  overlayHost.style.setProperty("--line-height", String(Number(overlayLineHeight) || DEFAULT_APPEARANCE.overlayLineHeight));
+}
+
+try {
+  chrome.storage.sync.get(DEFAULT_APPEARANCE, (data) => {
+    if (chrome.runtime.lastError) return;
+    overlayAppearance = data;
+    applyOverlayAppearance();
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    const keys = Object.keys(DEFAULT_APPEARANCE).filter(key => changes[key]);
+    if (keys.length === 0) return;
+    keys.forEach(key => { overlayAppearance[key] = changes[key].newValue ?? DEFAULT_APPEARANCE[key]; });
+    applyOverlayAppearance();
+  });
+} catch (error) {
+  console.warn("⚠️ Extension context invalidated - could not load overlay appearance");
 }
 
 // Professional clean translation pane
 function ensureUi() {
-  if (container && document.body.contains(container)) return;
+  const root = ensureOverlayRoot();
+  if (container && root.contains(container)) return;
   
   container = document.createElement("div");
-  container.style.position = "fixed";
+  container.className = "pane";
   container.style.top = defaultPosition.top;
   container.style.right = defaultPosition.right;
-  container.style.width = "400px";
-  container.style.maxHeight = "65vh";
-  container.style.background = "rgba(30, 30, 30, 0.12)";
-  container.style.color = "white";
-  container.style.fontFamily = "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
-  container.style.fontSize = "16px";
-  container.style.borderRadius = "10px";
-  container.style.backdropFilter = "blur(20px)";
-  container.style.webkitBackdropFilter = "blur(20px)";
-  container.style.border = "1px solid rgba(255, 255, 255, 0.06)";
-  container.style.boxShadow = "0 12px 40px rgba(0, 0, 0, 0.15)";
-  container.style.padding = "20px";
-  container.style.paddingBottom = "28px"; // Extra padding for resize handle
-  container.style.zIndex = "2147483647";
-  container.style.overflow = "hidden";
-  container.style.transition = "opacity 0.2s ease, transform 0.2s ease";
 
   // Restore saved position if available
   try {
@@ -428,134 +1231,250 @@ function ensureUi() {
   }
 
   const header = document.createElement("div");
-  header.style.display = "flex";
-  header.style.alignItems = "center";
-  header.style.justifyContent = "space-between";
-  header.style.marginBottom = "16px";
-  header.style.paddingBottom = "12px";
-  header.style.borderBottom = "1px solid rgba(255, 255, 255, 0.08)";
-  header.style.cursor = "move";
-  header.style.userSelect = "none";
+  header.className = "pane-header";
   header.title = "Drag to move";
   
   const title = document.createElement("div");
+  title.className = "pane-title";
   title.textContent = "Translation";
-  title.style.fontSize = "17px";
-  title.style.fontWeight = "500";
-  title.style.opacity = "0.9";
-  title.style.letterSpacing = "0.3px";
-  title.style.display = "flex";
-  title.style.alignItems = "center";
-  title.style.gap = "8px";
   
   // Add drag handle icon
   const dragIcon = document.createElement("span");
-  dragIcon.innerHTML = "⋮⋮";
-  dragIcon.style.fontSize = "12px";
-  dragIcon.style.opacity = "0.5";
-  dragIcon.style.letterSpacing = "-2px";
-  dragIcon.style.lineHeight = "1";
+  dragIcon.className = "drag-icon";
+  dragIcon.textContent = "⋮⋮";
   title.appendChild(dragIcon);
   
   // Add speaker detection status indicator
   const speakerIndicator = document.createElement("span");
   speakerIndicator.id = "speaker-detection-status";
-  speakerIndicator.innerHTML = "👥";
-  speakerIndicator.style.fontSize = "14px";
-  speakerIndicator.style.opacity = participantTracks.size > 0 ? "0.8" : "0.3";
-  speakerIndicator.title = participantTracks.size > 0 ? 
-    `Speaker Detection: Active (${participantTracks.size} tracks)` : 
-    "Speaker Detection: Waiting for participants";
+  speakerIndicator.className = "speaker-status";
+  speakerIndicator.textContent = "👥";
   title.appendChild(speakerIndicator);
+  
+  // Voice activity from the recognizer, see updateSpeakingIndicator()
+  const speakingIndicator = document.createElement("span");
+  speakingIndicator.id = "speaking-indicator";
+  speakingIndicator.className = "speaking-indicator";
+  speakingIndicator.textContent = "●";
+  title.appendChild(speakingIndicator);
 
   const clearBtn = document.createElement("button");
-  clearBtn.innerHTML = "Clear";
+  clearBtn.className = "header-button";
+  clearBtn.textContent = "Clear";
   clearBtn.title = "Clear translation";
-  Object.assign(clearBtn.style, {
-    cursor: "pointer",
-    background: "rgba(255, 255, 255, 0.08)",
-    color: "white",
-    border: "none",
-    borderRadius: "5px",
-    padding: "6px 14px",
-    fontSize: "13px",
-    fontWeight: "400",
-    opacity: "0.7",
-    transition: "opacity 0.2s ease"
-  });
-  clearBtn.onmouseenter = () => clearBtn.style.opacity = "1";
-  clearBtn.onmouseleave = () => clearBtn.style.opacity = "0.7";
-  clearBtn.onclick = () => { 
-    transcriptEl.innerHTML = "";
-    showPlaceholder();
+  clearBtn.onclick = clearTranscript;
+  
+  // Per-language visibility toggles, filled by renderLanguageToggles()
+  const langToggles = document.createElement("div");
+  langToggles.id = "language-toggles";
+  langToggles.className = "language-toggles";
+  
+  const modePicker = document.createElement("select");
+  modePicker.id = "display-mode-picker";
+  modePicker.className = "header-select";
+  modePicker.title = "What to show";
+  for (const [value, label] of Object.entries(DISPLAY_MODES)) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    modePicker.appendChild(option);
+  }
+  modePicker.value = displayMode;
+  // Keep the header's drag handler from starting a move
+  modePicker.onmousedown = (e) => e.stopPropagation();
+  modePicker.onchange = () => {
+    setDisplayMode(modePicker.value);
+    try {
+      chrome.storage.sync.set({ overlayDisplayMode: modePicker.value });
+    } catch (error) {
+      console.warn("⚠️ Extension context invalidated - could not save display mode");
+    }
   };
   
+  const searchBtn = document.createElement("button");
+  searchBtn.className = "header-button compact";
+  searchBtn.textContent = "🔍";
+  searchBtn.title = "Search the transcript";
+  searchBtn.onmousedown = (e) => e.stopPropagation();
+  searchBtn.onclick = () => toggleSearchBar(overlayElement("search-bar").hidden);
+  
+  const captionsBtn = document.createElement("button");
+  captionsBtn.className = "header-button compact";
+  captionsBtn.textContent = "CC";
+  captionsBtn.title = "Switch to captions over the video";
+  captionsBtn.onmousedown = (e) => e.stopPropagation();
+  captionsBtn.onclick = () => saveCaptionSettings({ overlayView: "captions" });
+  
   header.appendChild(title);
+  header.appendChild(langToggles);
+  header.appendChild(modePicker);
+  header.appendChild(searchBtn);
+  header.appendChild(captionsBtn);
   header.appendChild(clearBtn);
 
+  // Quota banner, see showQuotaBanner()
+  const quotaBanner = document.createElement("div");
+  quotaBanner.id = "quota-banner";
+  quotaBanner.className = "quota-banner";
+  quotaBanner.hidden = true;
+  const quotaText = document.createElement("span");
+  quotaText.id = "quota-banner-text";
+  quotaText.className = "quota-banner-text";
+  const quotaDismiss = document.createElement("button");
+  quotaDismiss.className = "banner-dismiss";
+  quotaDismiss.textContent = "✕";
+  quotaDismiss.title = "Dismiss";
+  quotaDismiss.onclick = () => {
+    quotaBannerDismissed = true;
+    quotaBanner.hidden = true;
+  };
+  quotaBanner.appendChild(quotaText);
+  quotaBanner.appendChild(quotaDismiss);
+
+  // Search bar, see Transcript Search
+  const searchBar = document.createElement("div");
+  searchBar.id = "search-bar";
+  searchBar.className = "search-bar";
+  searchBar.hidden = true;
+  const searchInput = document.createElement("input");
+  searchInput.id = "search-input";
+  searchInput.className = "search-input";
+  searchInput.type = "search";
+  searchInput.placeholder = "Search transcript…";
+  searchInput.oninput = () => setSearchQuery(searchInput.value);
+  searchInput.onkeydown = (e) => {
+    if (e.key === "Enter") stepSearch(e.shiftKey ? 1 : -1);
+    if (e.key === "Escape") toggleSearchBar(false);
+  };
+  // Keep typing away from the meeting's own keyboard shortcuts
+  for (const type of ["keydown", "keyup", "keypress"]) {
+    searchInput.addEventListener(type, (e) => e.stopPropagation());
+  }
+  const searchCount = document.createElement("span");
+  searchCount.id = "search-count";
+  searchCount.className = "search-count";
+  const searchBarButtons = [
+    ["↑", "Earlier match (Enter)", () => stepSearch(-1)],
+    ["↓", "Later match (Shift+Enter)", () => stepSearch(1)]
+  ].map(([label, title, onclick]) => {
+    const button = document.createElement("button");
+    button.className = "search-nav";
+    button.textContent = label;
+    button.title = title;
+    button.onclick = onclick;
+    return button;
+  });
+  const speakerFilterPicker = document.createElement("select");
+  speakerFilterPicker.id = "speaker-filter";
+  speakerFilterPicker.className = "header-select";
+  speakerFilterPicker.title = "Show one speaker only";
+  speakerFilterPicker.onfocus = fillSpeakerFilter;
+  speakerFilterPicker.onchange = () => setSpeakerFilter(speakerFilterPicker.value);
+  const closeSearch = document.createElement("button");
+  closeSearch.className = "search-nav";
+  closeSearch.textContent = "✕";
+  closeSearch.title = "Close search (Esc)";
+  closeSearch.onclick = () => toggleSearchBar(false);
+  searchBar.appendChild(searchInput);
+  searchBar.appendChild(searchCount);
+  searchBarButtons.forEach(button => searchBar.appendChild(button));
+  searchBar.appendChild(speakerFilterPicker);
+  searchBar.appendChild(closeSearch);
+
   transcriptEl = document.createElement("div");
-  transcriptEl.style.overflowY = "auto";
-  transcriptEl.style.maxHeight = "55vh";
-  transcriptEl.style.lineHeight = "1.6";
-  transcriptEl.style.scrollbarWidth = "none";
-  transcriptEl.style.msOverflowStyle = "none";
-  transcriptEl.style.fontSize = "16px";
-  transcriptEl.style.color = "rgba(255, 255, 255, 0.92)";
-
-  // Hide scrollbar for webkit browsers
-  const scrollStyle = document.createElement('style');
-  scrollStyle.textContent = `
-    div::-webkit-scrollbar { display: none; }
-  `;
-  document.head.appendChild(scrollStyle);
+  transcriptEl.className = "transcript";
+  transcriptEl.addEventListener("scroll", onTranscriptScroll);
+  
+  const jumpToLiveBtn = document.createElement("button");
+  jumpToLiveBtn.id = "jump-to-live";
+  jumpToLiveBtn.className = "jump-to-live";
+  jumpToLiveBtn.hidden = true;
+  jumpToLiveBtn.onclick = jumpToLive;
 
   container.appendChild(header);
+  container.appendChild(searchBar);
+  container.appendChild(quotaBanner);
   container.appendChild(transcriptEl);
+  container.appendChild(jumpToLiveBtn);
   
   // Add resize handle for height adjustment
   const resizeHandle = document.createElement("div");
-  resizeHandle.style.position = "absolute";
-  resizeHandle.style.bottom = "0";
-  resizeHandle.style.left = "0";
-  resizeHandle.style.right = "0";
-  resizeHandle.style.height = "8px";
-  resizeHandle.style.cursor = "ns-resize";
-  resizeHandle.style.background = "transparent";
-  resizeHandle.style.borderBottom = "2px solid rgba(255, 255, 255, 0.1)";
-  resizeHandle.style.borderRadius = "0 0 10px 10px";
+  resizeHandle.className = "resize-handle";
   resizeHandle.title = "Drag to resize height";
-  
-  // Add subtle visual indicator for resize handle
   const resizeIndicator = document.createElement("div");
-  resizeIndicator.style.position = "absolute";
-  resizeIndicator.style.bottom = "2px";
-  resizeIndicator.style.left = "50%";
-  resizeIndicator.style.transform = "translateX(-50%)";
-  resizeIndicator.style.width = "30px";
-  resizeIndicator.style.height = "2px";
-  resizeIndicator.style.background = "rgba(255, 255, 255, 0.3)";
-  resizeIndicator.style.borderRadius = "1px";
+  resizeIndicator.className = "resize-indicator";
   resizeHandle.appendChild(resizeIndicator);
   
   container.appendChild(resizeHandle);
-  document.body.appendChild(container);
+  root.appendChild(container);
   
   // Make the pane draggable and resizable
   makeDraggable(container, header);
   makeResizable(container, resizeHandle);
   
+  renderLanguageToggles();
+  updateSpeakerDetectionStatus();
+  updateSpeakingIndicator();
   showPlaceholder();
+  applyOverlayView();
+}
+
+// Shown while the provider refuses for quota; cleared by the next translation it actually serves.
+// Once dismissed it stays away until then, rather than popping up again on every sentence.
+let quotaBannerDismissed = false;
+
+function showQuotaBanner(message) {
+  const banner = overlayElement("quota-banner");
+  if (!banner || quotaBannerDismissed) return;
+  overlayElement("quota-banner-text").textContent =
+    "⚠ Translation quota reached — new speech is shown untranslated. Check your plan or wait for the limit to reset.";
+  banner.title = message;
+  banner.hidden = false;
+}
+
+function hideQuotaBanner() {
+  quotaBannerDismissed = false;
+  const banner = overlayElement("quota-banner");
+  if (banner) banner.hidden = true;
+}
+
+function renderLanguageToggles() {
+  const toggles = overlayElement("language-toggles");
+  if (!toggles) return;
+  toggles.innerHTML = "";
+  // A single language has nothing to toggle
+  if (TARGET_LANGS.length < 2) return;
+  
+  const hiddenLangs = activeHiddenLangs();
+  TARGET_LANGS.forEach(lang => {
+    const hidden = hiddenLangs.includes(lang);
+    const chip = document.createElement("button");
+    chip.className = hidden ? "lang-toggle off" : "lang-toggle";
+    chip.textContent = lang.toUpperCase();
+    chip.title = hidden ? `Show ${lang}` : `Hide ${lang}`;
+    // Keep the header's drag handler from starting a move
+    chip.onmousedown = (e) => e.stopPropagation();
+    chip.onclick = () => {
+      const next = hidden
+        ? hiddenLangs.filter(l => l !== lang)
+        : [...hiddenLangs, lang];
+      // Keep at least one language on screen
+      if (next.length >= TARGET_LANGS.length) return;
+      try {
+        chrome.storage.sync.set({ hiddenTargetLangs: next });
+      } catch (error) {
+        console.warn("⚠️ Extension context invalidated - could not save language visibility");
+      }
+    };
+    toggles.appendChild(chip);
+  });
 }
 
 function showPlaceholder() {
   const placeholder = document.createElement("div");
-  placeholder.style.textAlign = "center";
-  placeholder.style.color = "rgba(255, 255, 255, 0.4)";
-  placeholder.style.padding = "40px 20px";
-  placeholder.style.fontStyle = "italic";
-  placeholder.style.fontSize = "15px";
-  placeholder.innerHTML = "Listening for speech...";
   placeholder.id = "translation-placeholder";
+  placeholder.className = "placeholder";
+  placeholder.textContent = "Listening for speech...";
   transcriptEl.appendChild(placeholder);
 }
 
@@ -574,9 +1493,7 @@ function makeDraggable(element, handle) {
     document.onmousemove = elementDrag;
     
     // Add visual feedback during drag
-    element.style.opacity = "0.8";
-    element.style.transform = "scale(1.02)";
-    element.style.transition = "none";
+    element.classList.add("dragging");
   }
   
   function elementDrag(e) {
@@ -611,9 +1528,7 @@ function makeDraggable(element, handle) {
     document.onmousemove = null;
     
     // Remove visual feedback
-    element.style.opacity = "1";
-    element.style.transform = "scale(1)";
-    element.style.transition = "opacity 0.2s ease, transform 0.2s ease";
+    element.classList.remove("dragging");
     
     // Save position to storage for persistence (with error handling)
     try {
@@ -650,8 +1565,7 @@ function makeResizable(element, handle) {
     document.onmousemove = elementResize;
     
     // Add visual feedback during resize
-    element.style.transition = "none";
-    handle.style.background = "rgba(100, 181, 246, 0.2)";
+    element.classList.add("resizing");
   }
   
   function elementResize(e) {
@@ -685,8 +1599,7 @@ function makeResizable(element, handle) {
     document.onmousemove = null;
     
     // Remove visual feedback
-    element.style.transition = "opacity 0.2s ease, transform 0.2s ease";
-    handle.style.background = "transparent";
+    element.classList.remove("resizing");
     
     // Save height to storage for persistence (with error handling)
     try {
@@ -701,25 +1614,232 @@ function makeResizable(element, handle) {
   }
 }
 
+// ===== Speaking Indicator =====
+// Lit by Deepgram's SpeechStarted, kept lit by interims, and cleared by the sentence's final
+// or after a quiet spell (SpeechStarted can fire on noise that never becomes words).
+const SPEAKING_IDLE_MS = 2500;
+const speakingChannels = new Map(); // channel -> idle timer
+
+function markSpeaking(channel = 0) {
+  clearTimeout(speakingChannels.get(channel));
+  speakingChannels.set(channel, setTimeout(() => markSilent(channel), SPEAKING_IDLE_MS));
+  updateSpeakingIndicator();
+}
+
+function keepSpeaking(channel = 0) {
+  if (speakingChannels.has(channel)) markSpeaking(channel);
+}
+
+function markSilent(channel = 0) {
+  clearTimeout(speakingChannels.get(channel));
+  speakingChannels.delete(channel);
+  updateSpeakingIndicator();
+}
+
+function updateSpeakingIndicator() {
+  const indicator = overlayElement("speaking-indicator");
+  if (!indicator) return;
+  const speaking = speakingChannels.size > 0;
+  indicator.classList.toggle("speaking", speaking);
+  if (!speaking) {
+    indicator.title = "Nobody is speaking";
+  } else if (speakingChannels.size === 1 && speakingChannels.has(MIC_CHANNEL)) {
+    indicator.title = "You are speaking";
+  } else {
+    indicator.title = "Someone is speaking";
+  }
+}
+
+// ===== Caption Mode =====
+// Instead of the pane, a subtitle bar over the video, just above the platform's controls:
+// the last few sentences in the primary language plus the rolling interim. It fades out
+// when nobody has spoken for a while and comes back on hover for its controls.
+const CAPTION_LINES = 2;
+const CAPTION_FADE_MS = 5000;
+const CAPTION_FONT_SIZES = { min: 14, max: 40, step: 2 };
+const DEFAULT_CAPTION_SETTINGS = { overlayView: "pane", captionFontSize: 22, captionOpacity: 0.6 };
+
+let overlayView = DEFAULT_CAPTION_SETTINGS.overlayView;
+let captionFontSize = DEFAULT_CAPTION_SETTINGS.captionFontSize;
+let captionOpacity = DEFAULT_CAPTION_SETTINGS.captionOpacity;
+let captionEl = null;
+let captionFadeTimer = null;
+
+function saveCaptionSettings(settings) {
+  try {
+    chrome.storage.sync.set(settings);
+  } catch (error) {
+    console.warn("⚠️ Extension context invalidated - could not save caption settings");
+  }
+}
+
+function ensureCaptionBar() {
+  const root = ensureOverlayRoot();
+  if (captionEl && root.contains(captionEl)) return;
+  
+  captionEl = document.createElement("div");
+  captionEl.className = "captions";
+  captionEl.hidden = true;
+  captionEl.style.bottom = defaultPosition.captionBottom;
+  
+  const lines = document.createElement("div");
+  lines.id = "caption-lines";
+  const interim = document.createElement("div");
+  interim.id = "caption-interim";
+  interim.className = "caption-interim";
+  
+  const controls = document.createElement("div");
+  controls.className = "caption-controls";
+  const controlButtons = [
+    ["A−", "Smaller text", () => saveCaptionSettings({ captionFontSize: Math.max(CAPTION_FONT_SIZES.min, captionFontSize - CAPTION_FONT_SIZES.step) })],
+    ["A+", "Larger text", () => saveCaptionSettings({ captionFontSize: Math.min(CAPTION_FONT_SIZES.max, captionFontSize + CAPTION_FONT_SIZES.step) })],
+    ["◐−", "More transparent background", () => saveCaptionSettings({ captionOpacity: Math.max(0, Math.round((captionOpacity - 0.1) * 10) / 10) })],
+    ["◐+", "More solid background", () => saveCaptionSettings({ captionOpacity: Math.min(1, Math.round((captionOpacity + 0.1) * 10) / 10) })],
+    ["▭", "Back to the translation pane", () => saveCaptionSettings({ overlayView: "pane" })]
+  ];
+  for (const [label, title, onclick] of controlButtons) {
+    const button = document.createElement("button");
+    button.className = "caption-button";
+    button.textContent = label;
+    button.title = title;
+    button.onclick = onclick;
+    controls.appendChild(button);
+  }
+  
+  // Hovering keeps the bar visible (CSS); leaving starts the fade again
+  captionEl.onmouseenter = () => clearTimeout(captionFadeTimer);
+  captionEl.onmouseleave = scheduleCaptionFade;
+  
+  captionEl.appendChild(controls);
+  captionEl.appendChild(lines);
+  captionEl.appendChild(interim);
+  root.appendChild(captionEl);
+  styleCaptionBar();
+}
+
+function styleCaptionBar() {
+  if (!captionEl) return;
+  captionEl.style.setProperty("--caption-font-size", `${captionFontSize}px`);
+  captionEl.style.setProperty("--caption-opacity", String(captionOpacity));
+}
+
+function applyOverlayView() {
+  const captions = overlayView === "captions";
+  if (container) container.hidden = captions;
+  ensureCaptionBar();
+  captionEl.hidden = !captions;
+  if (captions) renderCaptions();
+}
+
+function scheduleCaptionFade() {
+  clearTimeout(captionFadeTimer);
+  captionFadeTimer = setTimeout(() => captionEl?.classList.remove("visible"), CAPTION_FADE_MS);
+}
+
+// `interimText` is the sentence still being spoken; a new final replaces it
+function renderCaptions(interimText = "") {
+  ensureCaptionBar();
+  const lines = overlayElement("caption-lines");
+  const interim = overlayElement("caption-interim");
+  const lang = primaryTargetLang();
+  const original = displayMode === "original";
+  
+  lines.textContent = "";
+  for (const segment of translationSegments.slice(-CAPTION_LINES)) {
+    const line = document.createElement("div");
+    applyTextDirection(line, original ? segment.sourceLanguage : lang);
+    const speaker = document.createElement("span");
+    speaker.className = "caption-speaker";
+    speaker.textContent = `${segment.speaker}: `;
+    line.appendChild(speaker);
+    line.appendChild(document.createTextNode(original ? segment.originalText : segmentText(segment, lang)));
+    lines.appendChild(line);
+  }
+  interim.textContent = interimText;
+  applyTextDirection(interim, lang);
+  
+  if (!interimText && translationSegments.length === 0) return;
+  captionEl.classList.add("visible");
+  scheduleCaptionFade();
+}
+
+try {
+  chrome.storage.sync.get(DEFAULT_CAPTION_SETTINGS, (data) => {
+    if (chrome.runtime.lastError) return;
+    overlayView = data.overlayView;
+    captionFontSize = data.captionFontSize;
+    captionOpacity = data.captionOpacity;
+    styleCaptionBar();
+    applyOverlayView();
+  });
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.captionFontSize) captionFontSize = changes.captionFontSize.newValue ?? DEFAULT_CAPTION_SETTINGS.captionFontSize;
+    if (changes.captionOpacity) captionOpacity = changes.captionOpacity.newValue ?? DEFAULT_CAPTION_SETTINGS.captionOpacity;
+    if (changes.captionFontSize || changes.captionOpacity) styleCaptionBar();
+    if (changes.overlayView) {
+      overlayView = changes.overlayView.newValue || DEFAULT_CAPTION_SETTINGS.overlayView;
+      applyOverlayView();
+    }
+  });
+} catch (error) {
+  console.warn("⚠️ Extension context invalidated - could not load caption settings");
+}
+
 ensureUi();
 
+// Caps for long meetings, see Transcript Window
+const MAX_TRANSCRIPT_SEGMENTS = 2000;
+const TRANSCRIPT_TRIM_CHUNK = 200;
+const MAX_RENDERED_GROUPS = 60;
+const RENDER_CHUNK_GROUPS = 20;
+const GROUP_GAP_MS = 5000;
+const LIVE_EDGE_PX = 40; // Scrolled this close to an end counts as being there
+
 let translationSegments = [];
+let transcriptGroups = []; // { speaker, segments, lastTimestamp, element }, oldest first
+let renderStart = 0;       // First group in the DOM
+let renderEnd = 0;         // One past the last group in the DOM; short of the end while reading back
+let followLive = true;     // Auto-scroll; off while the user reads back
+let unseenSegments = 0;    // Arrived while not following
+let searchPattern = null;  // Global, for marking every hit in a text
+let searchTest = null;     // Same query without the g flag, for yes/no checks
+let searchMatches = [];    // Matching segments, oldest first
+let searchIndex = 0;       // Current match in searchMatches
+let speakerFilter = "";    // Only this speaker's segments are shown; "" for everyone
 let isFirstTranslation = true;
+let previousFinals = new Map(); // `${channel}:${speaker}` -> their last sentence, the next one's context
+
+// Offscreen sends the local microphone as channel 1 when mic capture is enabled
+const MIC_CHANNEL = 1;
+const LOCAL_SPEAKER_LABEL = "You";
 
 chrome.runtime.onMessage.addListener(async (msg) => {
+  if (msg?.type === "SESSION_ENDED") {
+    cancelInterimTranslation();
+    reportTranslationStats();
+    previousFinals = new Map();
+  }
+
+  if (msg?.type === "DG_SPEECH_STARTED") {
+    markSpeaking(msg.channel);
+  }
+
   if (msg?.type === "DG_TRANSCRIPT_FINAL") {
     ensureUi();
+    cancelInterimTranslation();
+    markSilent(msg.channel);
+    // Hold this final's place in the transcript while it is being translated
+    const slot = msg.seq != null ? reserveReorderSlot(msg.seq) : null;
     
-    // Use detected language for better translation if available
-    const sourceLanguage = msg.language || 'auto'; // Use detected language or auto-detect
-    const translated = await translateText(msg.text, TARGET_LANG, sourceLanguage);
-    
-    // Enhanced speaker identification
+    // Enhanced speaker identification, taken when the final arrives rather than after translating
     let speaker = msg.speaker || "Speaker";
     
     // Use lightweight speaker detection if available
-    const activeSpeaker = getCurrentSpeaker();
-    if (activeSpeaker) {
+    const activeSpeaker = msg.channel === MIC_CHANNEL ? null : getCurrentSpeaker();
+    if (msg.channel === MIC_CHANNEL) {
+      // Our own microphone arrives on its own channel, no detection needed
+      speaker = LOCAL_SPEAKER_LABEL;
+    } else if (activeSpeaker) {
       // Map track ID to human-readable speaker name
       const speakerNumber = Array.from(participantTracks.keys()).indexOf(activeSpeaker) + 1;
       speaker = `Speaker ${speakerNumber}`;
@@ -734,119 +1854,713 @@ chrome.runtime.onMessage.addListener(async (msg) => {
       console.log(`🌍 Detected languages: ${msg.detectedLanguages.join(', ')}, dominant: ${msg.language}`);
     }
     
-    // Remove placeholder if it exists
-    const placeholder = document.getElementById("translation-placeholder");
-    if (placeholder) {
-      placeholder.remove();
+    // A pinned speaker language overrides what auto-detection says
+    const sourceLanguage = resolveSourceLanguage(speaker, msg.language);
+    
+    // Finals arrive in spoken order, so this speaker's previous one is the sentence they said
+    // before; someone else's sentence would only mislead the translation
+    const contextKey = `${msg.channel ?? 0}:${speaker}`;
+    const context = previousFinals.get(contextKey) || "";
+    previousFinals.set(contextKey, msg.text);
+    
+    const baseSegment = {
+      originalText: msg.text,
+      speaker: speaker,
+      sourceLanguage: sourceLanguage,
+      detectedLanguage: msg.language,
+      detectedLanguages: msg.detectedLanguages,
+      context, // Kept for retrying a failed translation
+      timestamp: Date.now(),
+      seq: msg.seq,
+      start: msg.start,
+      end: msg.end,
+      trackId: activeSpeaker // Store track ID for debugging
+    };
+    
+    // The background gives up by REORDER_TIMEOUT_MS; this covers it never answering at all
+    if (slot) {
+      slot.timer = setTimeout(() => {
+        console.warn(`Translation of segment ${msg.seq} timed out, showing the original text`);
+        fillReorderSlot(slot, {
+          ...baseSegment,
+          text: msg.text,
+          translations: {},
+          failedLangs: [...TARGET_LANGS],
+          translationError: "Translation timed out"
+        });
+      }, REORDER_TIMEOUT_MS);
     }
     
-    // Add translation segment with speaker and language info
-    if (translated && translated.trim()) {
-      translationSegments.push({
-        text: translated,
-        originalText: msg.text,
-        speaker: speaker,
-        sourceLanguage: msg.language,
-        detectedLanguages: msg.detectedLanguages,
-        timestamp: Date.now(),
-        trackId: activeSpeaker // Store track ID for debugging
-      });
-      
-      // Update the display
-      updateTranslationDisplay();
+    const targetLangs = [...TARGET_LANGS];
+    const results = await Promise.allSettled(targetLangs.map(lang => translateText(msg.text, lang, sourceLanguage, { context, timeoutMs: REORDER_TIMEOUT_MS })));
+    const translations = {};
+    const failedLangs = [];
+    let translationError = null;
+    targetLangs.forEach((lang, i) => {
+      const result = results[i];
+      if (result.status === "rejected") {
+        failedLangs.push(lang);
+        translationError = result.reason.message;
+      } else if (result.value && result.value.trim()) {
+        translations[lang] = result.value;
+      }
+    });
+    const translated = translations[targetLangs[0]];
+    
+    // Add translation segment with speaker and language info; `text` is the first language.
+    // Languages that failed show the original text, marked, until a retry succeeds.
+    const segment = translated || failedLangs.length > 0
+      ? { ...baseSegment, text: translated || msg.text, translations, failedLangs, translationError }
+      : null;
+    if (slot) {
+      fillReorderSlot(slot, segment);
+    } else if (segment) {
+      appendSegments([segment]);
     }
     
-    console.log(`${speaker} (${msg.language || 'unknown'}): ${translated}`);
+    console.log(`${speaker} (${sourceLanguage}): ${translated}`);
   }
 
   if (msg?.type === "DG_TRANSCRIPT_INTERIM") {
-    // Show interim translation subtly
+    // Show interim translation subtly, once it has settled
     if (msg.text && msg.text.trim()) {
-      const sourceLanguage = msg.language || 'auto';
-      const translated = await translateText(msg.text, TARGET_LANG, sourceLanguage);
-      
-      // Enhanced speaker identification for interim transcripts
-      let speaker = msg.speaker || "Speaker";
-      const activeSpeaker = getCurrentSpeaker();
-      if (activeSpeaker) {
-        const speakerNumber = Array.from(participantTracks.keys()).indexOf(activeSpeaker) + 1;
-        speaker = `Speaker ${speakerNumber}`;
-      }
-      
-      showInterimTranslation(translated, speaker, msg.language);
+      keepSpeaking(msg.channel);
+      scheduleInterimTranslation(msg);
     }
   }
 });
 
-function updateTranslationDisplay() {
-  // Clear existing content
+// ===== In-order Rendering =====
+// Finals arrive in spoken order, numbered by offscreen.js, but their translations resolve in
+// any order. Each final reserves a slot on arrival and slots render strictly by sequence.
+// Finals ask the background to give up on their translation (retries included) by
+// REORDER_TIMEOUT_MS, so a slot is never skipped while its translation could still arrive.
+const REORDER_TIMEOUT_MS = 8000;
+
+const reorderSlots = new Map(); // seq -> { segment, ready, timer }
+let nextRenderSeq = 0;
+
+function reserveReorderSlot(seq) {
+  // Numbering restarts with every transcription session
+  if (seq < nextRenderSeq) resetReorderBuffer();
+  const slot = { segment: null, ready: false, timer: null };
+  reorderSlots.set(seq, slot);
+  return slot;
+}
+
+// First result wins: a late translation after the timeout is ignored, and vice versa
+function fillReorderSlot(slot, segment) {
+  if (slot.ready) return;
+  clearTimeout(slot.timer);
+  slot.segment = segment;
+  slot.ready = true;
+  drainReorderBuffer();
+}
+
+// Messages arrive in order, so a sequence number missing below the oldest slot was lost
+// upstream (e.g. before this page loaded) and is skipped
+function drainReorderBuffer() {
+  const ready = [];
+  while (reorderSlots.size > 0) {
+    const seq = Math.min(...reorderSlots.keys());
+    const slot = reorderSlots.get(seq);
+    if (!slot.ready) break;
+    reorderSlots.delete(seq);
+    nextRenderSeq = seq + 1;
+    if (slot.segment) ready.push(slot.segment);
+  }
+  if (ready.length > 0) appendSegments(ready);
+}
+
+function resetReorderBuffer() {
+  reorderSlots.forEach(slot => clearTimeout(slot.timer));
+  reorderSlots.clear();
+  nextRenderSeq = 0;
+}
+
+function appendSegments(segments) {
+  // A final supersedes the placeholder and the interim it grew out of
+  overlayElement("translation-placeholder")?.remove();
+  overlayElement("interim-translation")?.remove();
+  translationSegments.push(...segments);
+  
+  addSearchMatches(segments);
+  
+  // Only the last group can grow; everything before it stays on screen untouched.
+  // New groups are only drawn while the window reaches the newest one.
+  const atLiveEdge = renderEnd === transcriptGroups.length;
+  const changed = new Set();
+  for (const segment of segments.filter(isShownSpeaker)) {
+    const last = transcriptGroups[transcriptGroups.length - 1];
+    if (continuesGroup(last, segment)) {
+      last.segments.push(segment);
+      last.lastTimestamp = segment.timestamp;
+      changed.add(last);
+    } else {
+      const group = { speaker: segment.speaker, segments: [segment], lastTimestamp: segment.timestamp, element: null };
+      transcriptGroups.push(group);
+      changed.add(group);
+    }
+  }
+  changed.forEach(group => {
+    if (group.element?.isConnected) renderGroup(group);
+    else if (atLiveEdge) transcriptEl.appendChild(renderGroup(group));
+  });
+  if (atLiveEdge) renderEnd = transcriptGroups.length;
+  
+  capTranscript();
+  if (followLive) {
+    trimRenderWindow();
+    scrollToLive();
+  } else {
+    // Unload whichever end is farther from what the user is reading
+    trimRenderWindow(transcriptEl.scrollTop < distanceFromBottom());
+    unseenSegments += segments.length;
+    updateJumpToLive();
+  }
+  if (overlayView === "captions") renderCaptions();
+}
+
+// ===== Transcript Window =====
+// Long meetings stay smooth by keeping little on screen and in memory: only the newest
+// MAX_RENDERED_GROUPS speaker groups are in the DOM (the rest are rebuilt in chunks when
+// scrolled to), and past MAX_TRANSCRIPT_SEGMENTS the oldest sentences are dropped for good.
+// Scrolling up pauses auto-scroll until the user jumps back to live; what arrives meanwhile
+// is only drawn once the user scrolls down to it.
+function capTranscript() {
+  if (translationSegments.length <= MAX_TRANSCRIPT_SEGMENTS) return;
+  // Drop a chunk at a time rather than one sentence per final
+  const excess = translationSegments.length - (MAX_TRANSCRIPT_SEGMENTS - TRANSCRIPT_TRIM_CHUNK);
+  const dropped = new Set(translationSegments.splice(0, excess));
+  // Groups may hold only some speakers' segments (speaker filter), so match by segment
+  while (transcriptGroups.length > 0) {
+    const group = transcriptGroups[0];
+    const kept = group.segments.filter(segment => !dropped.has(segment));
+    if (kept.length === group.segments.length) break;
+    if (kept.length > 0) {
+      group.segments = kept;
+      if (group.element?.isConnected) renderGroup(group);
+      break;
+    }
+    group.element?.remove();
+    transcriptGroups.shift();
+    renderStart = Math.max(0, renderStart - 1);
+    renderEnd = Math.max(0, renderEnd - 1);
+  }
+  if (searchMatches.length > 0) {
+    const current = searchMatches[searchIndex];
+    searchMatches = searchMatches.filter(segment => !dropped.has(segment));
+    searchIndex = Math.max(0, searchMatches.indexOf(current));
+    updateSearchCount();
+  }
+}
+
+function unloadGroup(group) {
+  group.element?.remove();
+  group.element = null;
+}
+
+// Drops groups from the start of the window, or from its end with `fromEnd`
+function trimRenderWindow(fromEnd = false) {
+  if (fromEnd) {
+    while (renderEnd - renderStart > MAX_RENDERED_GROUPS) unloadGroup(transcriptGroups[--renderEnd]);
+    return;
+  }
+  const heightBefore = transcriptEl.scrollHeight;
+  while (renderEnd - renderStart > MAX_RENDERED_GROUPS) unloadGroup(transcriptGroups[renderStart++]);
+  // Keep what the user is reading where it is
+  transcriptEl.scrollTop -= heightBefore - transcriptEl.scrollHeight;
+}
+
+function loadEarlierGroups() {
+  if (renderStart === 0) return;
+  const start = Math.max(0, renderStart - RENDER_CHUNK_GROUPS);
+  const fragment = document.createDocumentFragment();
+  transcriptGroups.slice(start, renderStart).forEach(group => fragment.appendChild(renderGroup(group)));
+  // Keep what the user is reading where it is
+  const heightBefore = transcriptEl.scrollHeight;
+  transcriptEl.insertBefore(fragment, transcriptEl.firstChild);
+  transcriptEl.scrollTop += transcriptEl.scrollHeight - heightBefore;
+  renderStart = start;
+  trimRenderWindow(true);
+}
+
+function loadLaterGroups() {
+  if (renderEnd >= transcriptGroups.length) return;
+  const end = Math.min(transcriptGroups.length, renderEnd + RENDER_CHUNK_GROUPS);
+  const fragment = document.createDocumentFragment();
+  transcriptGroups.slice(renderEnd, end).forEach(group => fragment.appendChild(renderGroup(group)));
+  transcriptEl.insertBefore(fragment, overlayElement("interim-translation"));
+  renderEnd = end;
+  trimRenderWindow();
+}
+
+function distanceFromBottom() {
+  return transcriptEl.scrollHeight - transcriptEl.scrollTop - transcriptEl.clientHeight;
+}
+
+function onTranscriptScroll() {
+  if (transcriptEl.scrollTop < LIVE_EDGE_PX) loadEarlierGroups();
+  else if (distanceFromBottom() < LIVE_EDGE_PX) loadLaterGroups();
+  followLive = distanceFromBottom() < LIVE_EDGE_PX && renderEnd === transcriptGroups.length;
+  if (followLive) unseenSegments = 0;
+  updateJumpToLive();
+}
+
+function scrollToLive() {
+  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+}
+
+function jumpToLive() {
+  followLive = true;
+  unseenSegments = 0;
+  // Newer groups were left undrawn while reading back: rebuild the window at the live end
+  if (renderEnd < transcriptGroups.length) updateTranslationDisplay();
+  trimRenderWindow();
+  scrollToLive();
+  updateJumpToLive();
+}
+
+function updateJumpToLive() {
+  const button = overlayElement("jump-to-live");
+  if (!button) return;
+  button.hidden = followLive;
+  button.textContent = unseenSegments > 0 ? `↓ Jump to live (${unseenSegments} new)` : "↓ Jump to live";
+}
+
+// ===== Transcript Search =====
+// The 🔍 header button opens a search bar over translationSegments: a query matches the original
+// and every translation, matches are highlighted wherever they are rendered, and ↑/↓ step
+// through them (newest first). The speaker menu narrows the transcript to one speaker.
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isShownSpeaker(segment) {
+  return !speakerFilter || segment.speaker === speakerFilter;
+}
+
+function shownSegments() {
+  return speakerFilter ? translationSegments.filter(isShownSpeaker) : translationSegments;
+}
+
+function segmentMatchesSearch(segment) {
+  if (!searchTest || !isShownSpeaker(segment)) return false;
+  return [segment.originalText, segment.text, ...Object.values(segment.translations || {})]
+    .some(text => text && searchTest.test(text));
+}
+
+// span -> { text, segment }, so a new query can re-mark what is on screen in place
+const searchableTexts = new WeakMap();
+
+// Adds `text` to `parent` with the search hits marked
+function appendSearchableText(parent, text, segment) {
+  const span = document.createElement("span");
+  span.className = "searchable";
+  searchableTexts.set(span, { text, segment });
+  markSearchHits(span, text, segment);
+  parent.appendChild(span);
+}
+
+function markSearchHits(span, text, segment) {
+  span.textContent = "";
+  if (!searchPattern) {
+    span.textContent = text;
+    return;
+  }
+  const current = searchMatches[searchIndex] === segment;
+  let last = 0;
+  for (const match of text.matchAll(searchPattern)) {
+    span.appendChild(document.createTextNode(text.slice(last, match.index)));
+    const mark = document.createElement("mark");
+    mark.className = current ? "search-hit current" : "search-hit";
+    mark.textContent = match[0];
+    span.appendChild(mark);
+    last = match.index + match[0].length;
+  }
+  span.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// Only texts that had hits or have them now are touched
+function applySearchHighlights() {
+  transcriptEl.querySelectorAll(".searchable").forEach(span => {
+    const { text, segment } = searchableTexts.get(span);
+    if (span.firstElementChild || searchTest?.test(text)) markSearchHits(span, text, segment);
+  });
+}
+
+function setSearchQuery(query) {
+  const trimmed = query.trim();
+  searchPattern = trimmed ? new RegExp(escapeRegExp(trimmed), "gi") : null;
+  searchTest = trimmed ? new RegExp(escapeRegExp(trimmed), "i") : null;
+  refreshSearch();
+}
+
+// Re-runs the search over everything, e.g. after the query or the speaker filter changed
+function refreshSearch() {
+  searchMatches = translationSegments.filter(segmentMatchesSearch);
+  searchIndex = searchMatches.length - 1;
+  applySearchHighlights();
+  updateSearchCount();
+  if (searchMatches.length > 0) revealSearchMatch();
+}
+
+// New finals that match join the end of the list without moving the current match
+function addSearchMatches(segments) {
+  if (!searchTest) return;
+  const matches = segments.filter(segmentMatchesSearch);
+  if (matches.length === 0) return;
+  searchMatches.push(...matches);
+  updateSearchCount();
+}
+
+function stepSearch(direction) {
+  if (searchMatches.length === 0) return;
+  const previous = searchMatches[searchIndex];
+  searchIndex = (searchIndex + direction + searchMatches.length) % searchMatches.length;
+  if (previous) rerenderSegment(previous);
+  revealSearchMatch();
+}
+
+function revealSearchMatch() {
+  const segment = searchMatches[searchIndex];
+  const groupIndex = transcriptGroups.findLastIndex(group => group.segments.includes(segment));
+  if (groupIndex < 0) return;
+  // Outside the render window: bring it back first
+  while (groupIndex < renderStart) loadEarlierGroups();
+  while (groupIndex >= renderEnd) loadLaterGroups();
+  rerenderSegment(segment);
+  updateSearchCount();
+  
+  const mark = transcriptGroups[groupIndex].element.querySelector(".search-hit.current");
+  if (!mark) return;
+  const offset = mark.getBoundingClientRect().top - transcriptEl.getBoundingClientRect().top;
+  transcriptEl.scrollTop += offset - transcriptEl.clientHeight / 2;
+  // Stay on the match while new speech comes in
+  followLive = false;
+  updateJumpToLive();
+}
+
+function updateSearchCount() {
+  const count = overlayElement("search-count");
+  if (!count) return;
+  if (!searchTest) count.textContent = "";
+  else if (searchMatches.length === 0) count.textContent = "No matches";
+  else count.textContent = `${searchIndex + 1}/${searchMatches.length}`;
+}
+
+function fillSpeakerFilter() {
+  const picker = overlayElement("speaker-filter");
+  if (!picker) return;
+  const speakers = [...new Set(translationSegments.map(segment => segment.speaker))].sort();
+  if (speakerFilter && !speakers.includes(speakerFilter)) speakers.push(speakerFilter);
+  picker.innerHTML = "";
+  for (const [value, label] of [["", "All speakers"], ...speakers.map(speaker => [speaker, speaker])]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    picker.appendChild(option);
+  }
+  picker.value = speakerFilter;
+}
+
+// Regrouping is a full rebuild, unlike a new query
+function setSpeakerFilter(speaker) {
+  speakerFilter = speaker;
+  updateTranslationDisplay();
+  refreshSearch();
+}
+
+function toggleSearchBar(open) {
+  const bar = overlayElement("search-bar");
+  if (!bar) return;
+  bar.hidden = !open;
+  if (open) {
+    fillSpeakerFilter();
+    overlayElement("search-input").focus();
+    return;
+  }
+  // Closing drops the query and the filter so the full live transcript is back
+  overlayElement("search-input").value = "";
+  searchPattern = null;
+  searchTest = null;
+  if (speakerFilter) setSpeakerFilter("");
+  else refreshSearch();
+  jumpToLive();
+}
+
+function clearTranscript() {
+  translationSegments = [];
+  transcriptGroups = [];
+  renderStart = 0;
+  renderEnd = 0;
+  searchMatches = [];
+  searchIndex = 0;
+  updateSearchCount();
   transcriptEl.innerHTML = "";
+  showPlaceholder();
+  jumpToLive();
+}
+
+// The popup asks directly (tabs.sendMessage) while its diagnostics panel is open
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type === "GET_DIAGNOSTICS") {
+    sendResponse({ lastTranslationError });
+  }
+});
+
+// Full rebuild, for changes that affect every group (display mode, languages, badges, pins).
+// Only the render window is built: at the live end, or while the user reads back, around the
+// group at the top of the view, which stays where it was on screen.
+function updateTranslationDisplay() {
+  const containerTop = transcriptEl.getBoundingClientRect().top;
+  const anchor = followLive ? null : topVisibleGroup();
+  const anchorSegment = anchor?.segments[0];
+  const anchorOffset = anchor ? anchor.element.getBoundingClientRect().top - containerTop : 0;
+  // Only the groups go; the placeholder and the live interim line stay
+  transcriptGroups.forEach(unloadGroup);
   
   // Group segments by speaker and time proximity
-  const groupedSegments = groupSegmentsBySpeaker(translationSegments);
-  
-  groupedSegments.forEach((group, index) => {
-    // Create speaker section
-    const speakerSection = document.createElement("div");
-    speakerSection.style.marginBottom = index < groupedSegments.length - 1 ? "16px" : "8px";
-    
-    // Speaker label
-    const speakerLabel = document.createElement("div");
-    speakerLabel.style.fontSize = "13px";
-    speakerLabel.style.fontWeight = "500";
-    speakerLabel.style.color = "rgba(100, 181, 246, 0.8)";
-    speakerLabel.style.marginBottom = "4px";
-    speakerLabel.style.opacity = "0.9";
-    speakerLabel.textContent = group.speaker;
-    
-    // Combined text for this speaker
+  transcriptGroups = groupSegmentsBySpeaker(shownSegments());
+  const anchorIndex = anchorSegment ? groupIndexNear(anchorSegment) : -1;
+  if (anchorIndex < 0) {
+    renderEnd = transcriptGroups.length;
+    renderStart = Math.max(0, renderEnd - MAX_RENDERED_GROUPS);
+  } else {
+    renderStart = Math.max(0, Math.min(anchorIndex - RENDER_CHUNK_GROUPS, transcriptGroups.length - MAX_RENDERED_GROUPS));
+    renderEnd = Math.min(transcriptGroups.length, renderStart + MAX_RENDERED_GROUPS);
+  }
+  const fragment = document.createDocumentFragment();
+  transcriptGroups.slice(renderStart, renderEnd).forEach(group => fragment.appendChild(renderGroup(group)));
+  transcriptEl.insertBefore(fragment, overlayElement("interim-translation"));
+  
+  if (anchorIndex >= 0) {
+    const offset = transcriptGroups[anchorIndex].element.getBoundingClientRect().top - transcriptEl.getBoundingClientRect().top;
+    transcriptEl.scrollTop += offset - anchorOffset;
+  } else if (followLive) {
+    scrollToLive();
+  }
+}
+
+function topVisibleGroup() {
+  const top = transcriptEl.getBoundingClientRect().top;
+  return transcriptGroups.slice(renderStart, renderEnd).find(group => group.element?.getBoundingClientRect().bottom > top) || null;
+}
+
+// The regrouped group holding `segment`, or the next one when a speaker filter hid it
+function groupIndexNear(segment) {
+  const order = new Map(translationSegments.map((s, i) => [s, i]));
+  const target = order.get(segment);
+  const index = transcriptGroups.findIndex(group => order.get(group.segments[group.segments.length - 1]) >= target);
+  return index < 0 ? transcriptGroups.length - 1 : index;
+}
+
+// Builds a speaker group's section, replacing the one already on screen
+function renderGroup(group) {
+  const langs = visibleTargetLangs();
+  
+  // Create speaker section
+  const speakerSection = document.createElement("div");
+  speakerSection.className = "speaker-section";
+  
+  // Speaker label
+  const speakerLabel = document.createElement("div");
+  speakerLabel.className = "speaker-label";
+  speakerLabel.textContent = group.speaker;
+  const pinned = speakerLanguagePins.get(group.speaker);
+  if (pinned) speakerLabel.textContent += ` · ${pinned.toUpperCase()} 📌`;
+  speakerLabel.title = "Click to pin this speaker's language";
+  speakerLabel.onclick = () => showLanguagePinPicker(speakerLabel, group.speaker);
+  speakerSection.appendChild(speakerLabel);
+  
+  if (displayMode === "original") {
+    speakerSection.appendChild(createOriginalLine(group.segments, true));
+  } else if (displayMode === "interleaved") {
+    // Each sentence as said, directly above its translation
+    group.segments.forEach((segment) => {
+      const pair = document.createElement("div");
+      pair.className = "sentence-pair";
+      pair.appendChild(createOriginalLine([segment], false));
+      createTranslationLines({ ...group, segments: [segment] }, langs).forEach(line => pair.appendChild(line));
+      speakerSection.appendChild(pair);
+    });
+  } else if (displayMode === "side-by-side") {
+    const columns = document.createElement("div");
+    columns.className = "bilingual-columns";
+    columns.appendChild(createOriginalLine(group.segments, false));
+    const translated = document.createElement("div");
+    createTranslationLines(group, langs).forEach(line => translated.appendChild(line));
+    columns.appendChild(translated);
+    speakerSection.appendChild(columns);
+  } else {
+    createTranslationLines(group, langs).forEach(line => speakerSection.appendChild(line));
+  }
+  
+  group.element?.replaceWith(speakerSection);
+  group.element = speakerSection;
+  return speakerSection;
+}
+
+// One stacked line per visible language; tagged once there is more than one
+function createTranslationLines(group, langs) {
+  return langs.map((lang, langIndex) => {
     const textElement = document.createElement("div");
-    textElement.style.fontSize = "16px";
-    textElement.style.lineHeight = "1.6";
-    textElement.style.color = "rgba(255, 255, 255, 0.95)";
-    textElement.style.whiteSpace = "pre-wrap";
-    textElement.style.wordWrap = "break-word";
-    textElement.textContent = group.text;
-    
-    speakerSection.appendChild(speakerLabel);
-    speakerSection.appendChild(textElement);
-    transcriptEl.appendChild(speakerSection);
+    textElement.className = langIndex === 0 ? "translation-line" : "translation-line secondary";
+    applyTextDirection(textElement, lang);
+    
+    if (langs.length > 1) {
+      const tag = document.createElement("span");
+      tag.className = "lang-tag";
+      tag.textContent = lang.toUpperCase();
+      textElement.appendChild(tag);
+    }
+    appendGroupText(textElement, group, lang);
+    return textElement;
   });
+}
+
+// What was actually said. As the only line it reads like a translation; next to one it is
+// dimmed so the two are easy to tell apart.
+function createOriginalLine(segments, primary) {
+  const textElement = document.createElement("div");
+  textElement.className = primary ? "original-line primary" : "original-line";
+  applyTextDirection(textElement, segments[0].sourceLanguage);
   
-  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+  let previousLanguage = null;
+  segments.forEach((segment, i) => {
+    const language = baseLanguage(segment.sourceLanguage);
+    if (showLanguageBadge && language && language !== previousLanguage) {
+      textElement.appendChild(createLanguageBadge(language, true));
+    }
+    previousLanguage = language;
+    const text = segment.originalText;
+    appendSearchableText(textElement, i < segments.length - 1 ? `${text} ` : text, segment);
+  });
+  return textElement;
 }
 
-function groupSegmentsBySpeaker(segments) {
-  if (segments.length === 0) return [];
+// Segments missing a language (e.g. it was added mid-meeting) fall back to their first translation.
+// With badges on, each change of spoken language within the group is marked.
+function appendGroupText(textElement, group, lang) {
+  let previousLanguage = null;
+  group.segments.forEach((segment, i) => {
+    const language = baseLanguage(segment.sourceLanguage);
+    if (showLanguageBadge && language && language !== previousLanguage) {
+      textElement.appendChild(createLanguageBadge(language, isSameLanguage(language, lang)));
+    }
+    previousLanguage = language;
+    if (segment.failedLangs?.includes(lang)) textElement.appendChild(createUntranslatedMarker(segment));
+    const text = segmentText(segment, lang);
+    appendSearchableText(textElement, i < group.segments.length - 1 ? `${text} ` : text, segment);
+  });
+}
+
+// Failed languages show what was said
+function segmentText(segment, lang) {
+  if (segment.failedLangs?.includes(lang)) return segment.originalText;
+  return segment.translations?.[lang] ?? segment.text;
+}
+
+function createUntranslatedMarker(segment) {
+  const marker = document.createElement("button");
+  marker.className = segment.retrying ? "untranslated-marker retrying" : "untranslated-marker";
+  marker.textContent = segment.retrying ? "⚠ retrying…" : "⚠ untranslated ↻";
+  marker.title = `Shown as spoken: ${segment.translationError || "translation failed"}. Click to retry.`;
+  marker.onclick = () => retrySegmentTranslation(segment);
+  return marker;
+}
+
+async function retrySegmentTranslation(segment) {
+  if (segment.retrying) return;
+  segment.retrying = true;
+  rerenderSegment(segment);
   
-  const groups = [];
-  let currentGroup = {
-    speaker: segments[0].speaker,
-    text: segments[0].text,
-    lastTimestamp: segments[0].timestamp
-  };
+  const langs = [...segment.failedLangs];
+  const results = await Promise.allSettled(
+    langs.map(lang => translateText(segment.originalText, lang, segment.sourceLanguage, { context: segment.context }))
+  );
+  langs.forEach((lang, i) => {
+    const result = results[i];
+    if (result.status === "rejected") {
+      segment.translationError = result.reason.message;
+      return;
+    }
+    if (result.value && result.value.trim()) segment.translations[lang] = result.value;
+    segment.failedLangs = segment.failedLangs.filter(l => l !== lang);
+  });
+  segment.text = segment.translations[TARGET_LANGS[0]] ?? segment.text;
+  segment.retrying = false;
+  rerenderSegment(segment);
+}
+
+function rerenderSegment(segment) {
+  const group = transcriptGroups.findLast(g => g.segments.includes(segment));
+  if (group?.element?.isConnected) renderGroup(group);
+}
+
+function createLanguageBadge(language, untouched) {
+  const badge = document.createElement("span");
+  badge.className = "language-badge";
+  badge.textContent = untouched ? `${language.toUpperCase()} ✓` : language.toUpperCase();
+  badge.title = untouched ? `Spoken in ${language}, shown as said` : `Translated from ${language}`;
+  return badge;
+}
+
+// Languages worth offering for a pin: the ones heard so far plus the target languages
+function knownSourceLanguages() {
+  const languages = new Set();
+  translationSegments.forEach(segment => {
+    const detected = baseLanguage(segment.detectedLanguage || segment.sourceLanguage);
+    if (detected) languages.add(detected);
+    (segment.detectedLanguages || []).forEach(code => baseLanguage(code) && languages.add(baseLanguage(code)));
+  });
+  TARGET_LANGS.forEach(lang => languages.add(baseLanguage(lang)));
+  return [...languages].sort();
+}
+
+function showLanguagePinPicker(anchor, speaker) {
+  overlayElement("language-pin-picker")?.remove();
   
-  for (let i = 1; i < segments.length; i++) {
-    const segment = segments[i];
-    const timeDiff = segment.timestamp - currentGroup.lastTimestamp;
-    
-    // If same speaker and within 5 seconds, append to current group
-    if (segment.speaker === currentGroup.speaker && timeDiff < 5000) {
-      currentGroup.text += " " + segment.text;
-      currentGroup.lastTimestamp = segment.timestamp;
+  const picker = document.createElement("select");
+  picker.id = "language-pin-picker";
+  picker.className = "pin-picker";
+  const options = [["", "Auto-detect"], ...knownSourceLanguages().map(code => [code, code.toUpperCase()])];
+  for (const [value, label] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    picker.appendChild(option);
+  }
+  picker.value = speakerLanguagePins.get(speaker) || "";
+  picker.onclick = (e) => e.stopPropagation();
+  picker.onchange = () => {
+    if (picker.value) speakerLanguagePins.set(speaker, picker.value);
+    else speakerLanguagePins.delete(speaker);
+    console.log(`📌 ${speaker}: ${picker.value || "auto-detect"}`);
+    updateTranslationDisplay();
+  };
+  picker.onblur = () => picker.remove();
+  anchor.appendChild(picker);
+  picker.focus();
+}
+
+// Same speaker within GROUP_GAP_MS of their last sentence continues the group
+function continuesGroup(group, segment) {
+  return group && segment.speaker === group.speaker && segment.timestamp - group.lastTimestamp < GROUP_GAP_MS;
+}
+
+function groupSegmentsBySpeaker(segments) {
+  const groups = [];
+  for (const segment of segments) {
+    const last = groups[groups.length - 1];
+    if (continuesGroup(last, segment)) {
+      last.segments.push(segment);
+      last.lastTimestamp = segment.timestamp;
     } else {
       // Different speaker or long pause, start new group
-      groups.push(currentGroup);
-      currentGroup = {
-        speaker: segment.speaker,
-        text: segment.text,
-        lastTimestamp: segment.timestamp
-      };
+      groups.push({ speaker: segment.speaker, segments: [segment], lastTimestamp: segment.timestamp, element: null });
     }
   }
-  
-  // Add the last group
-  groups.push(currentGroup);
   return groups;
 }
 
@@ -854,7 +2568,7 @@ function showInterimTranslation(translatedText, speaker, sourceLanguage) {
   if (!translatedText || !translatedText.trim()) return;
   
   // Remove any existing interim element
-  const existingInterim = document.getElementById("interim-translation");
+  const existingInterim = overlayElement("interim-translation");
   if (existingInterim) {
     existingInterim.remove();
   }
@@ -862,28 +2576,23 @@ function showInterimTranslation(translatedText, speaker, sourceLanguage) {
   // Create interim translation element
   const interimElement = document.createElement("div");
   interimElement.id = "interim-translation";
-  interimElement.style.marginTop = "12px";
-  interimElement.style.paddingTop = "8px";
-  interimElement.style.borderTop = "1px solid rgba(255, 255, 255, 0.08)";
+  interimElement.className = "interim";
   
   // Interim speaker label
   const speakerLabel = document.createElement("div");
-  speakerLabel.style.fontSize = "12px";
-  speakerLabel.style.fontWeight = "500";
-  speakerLabel.style.color = "rgba(100, 181, 246, 0.6)";
-  speakerLabel.style.marginBottom = "3px";
+  speakerLabel.className = "interim-speaker";
   speakerLabel.textContent = speaker;
   
   // Interim text
   const textElement = document.createElement("div");
-  textElement.style.fontSize = "15px";
-  textElement.style.lineHeight = "1.5";
-  textElement.style.color = "rgba(255, 255, 255, 0.6)";
-  textElement.style.fontStyle = "italic";
+  textElement.className = "interim-text";
+  applyTextDirection(textElement, displayMode === "original" ? sourceLanguage : primaryTargetLang());
   textElement.textContent = translatedText;
   
   interimElement.appendChild(speakerLabel);
   interimElement.appendChild(textElement);
   transcriptEl.appendChild(interimElement);
-  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+  if (followLive) scrollToLive();
+  
+  if (overlayView === "captions") renderCaptions(translatedText);
 }
@@ -0,0 +1,144 @@
+// Team glossary: terms that must come out of translation a fixed way.
+// Entries are { term, translation, lang }: an empty translation means "do not translate",
+// an empty lang applies the entry to every target language.
+//
+// Enforcement works on every provider the same way: matched terms are swapped for their
+// forced output inside <span translate="no" class="notranslate">, the text is sent as HTML,
+// and the markup is stripped from the result again.
+
+const CSV_HEADER = ['term', 'translation', 'language'];
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeHtml(html) {
+  return html
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&#x27;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A letter or digit that a term must not run into. Chinese, Japanese and Korean attach
+// particles straight to a word ("KPIです"), so their characters don't count.
+const WORD_CHAR = '(?:(?![\\p{scx=Han}\\p{scx=Hiragana}\\p{scx=Katakana}\\p{scx=Hangul}])[\\p{L}\\p{N}])';
+
+// Empty means every language; so do the spellings people type for it
+function normalizeLang(lang) {
+  const code = String(lang || '').trim().toLowerCase();
+  return ['any', 'all', '*'].includes(code) ? '' : code;
+}
+
+export function normalizeGlossary(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .map(entry => ({
+      term: String(entry?.term || '').trim(),
+      translation: String(entry?.translation || '').trim(),
+      lang: normalizeLang(entry?.lang)
+    }))
+    .filter(entry => entry.term);
+}
+
+// Returns { text, html }: html is true when terms were protected and the provider must
+// be asked for HTML handling. Longer terms win over terms they contain.
+export function protectGlossaryTerms(text, entries, target) {
+  const applicable = entries
+    .filter(entry => !entry.lang || entry.lang === target)
+    .sort((a, b) => b.term.length - a.term.length);
+  if (applicable.length === 0) return { text, html: false };
+
+  const byTerm = new Map();
+  for (const entry of applicable) {
+    const key = entry.term.toLowerCase();
+    // A language-specific entry beats a catch-all one for the same term
+    if (!byTerm.has(key) || entry.lang) byTerm.set(key, entry);
+  }
+  const pattern = new RegExp(
+    `(?<!${WORD_CHAR})(${applicable.map(entry => escapeRegExp(entry.term)).join('|')})(?!${WORD_CHAR})`,
+    'giu'
+  );
+
+  let matched = false;
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const entry = byTerm.get(match[0].toLowerCase());
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<span translate="no" class="notranslate">${escapeHtml(entry.translation || match[0])}</span>`;
+    last = match.index + match[0].length;
+    matched = true;
+  }
+  if (!matched) return { text, html: false };
+  html += escapeHtml(text.slice(last));
+  return { text: html, html: true };
+}
+
+export function stripGlossaryMarkup(html) {
+  return unescapeHtml(html.replace(/<\/?span[^>]*>/gi, '')).replace(/\s{2,}/g, ' ').trim();
+}
+
+// ---------- CSV ----------
+function parseCsvRows(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < csv.length; i++) {
+    const ch = csv[i];
+    if (quoted) {
+      if (ch === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && csv[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Accepts term,translation,language with or without a header row
+export function parseGlossaryCsv(csv) {
+  const rows = parseCsvRows(csv.replace(/^\uFEFF/, ''));
+  if (rows.length && rows[0][0]?.trim().toLowerCase() === CSV_HEADER[0]) rows.shift();
+  return normalizeGlossary(rows.map(([term, translation, lang]) => ({ term, translation, lang })));
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function glossaryToCsv(entries) {
+  const lines = [CSV_HEADER.join(',')];
+  for (const entry of entries) {
+    lines.push([entry.term, entry.translation, entry.lang].map(csvField).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -1,35 +1,116 @@
-// Offscreen document: uses tabCapture streamId to getUserMedia, streams PCM to Deepgram, relays transcripts back
+// Offscreen document: uses tabCapture streamIds to getUserMedia, streams PCM to the speech provider (Deepgram or a self-hosted server), relays transcripts back.
+// Every captured tab gets its own session (stream, audio graph, socket) keyed by tab ID.
+// The silence gate and speech settings defaults live in transcription.js.
 
-let mediaStream;
-let ws;
+import { DEFAULT_TRANSCRIPTION_SETTINGS, DEFAULT_VAD_GATE } from './transcription.js';
+
+const sessions = new Map(); // Map<tabId, session>
 let bgPort;
-let keepAliveTimer = null;
-let triedOpusFallback = false;
 
-let audioContext;
-let sourceNode;
-let processorNode;
-let destinationNode;
 const TARGET_SAMPLE_RATE = 16000;
-let currentMode = 'pcm'; // 'pcm' | 'opus'
-let mediaRecorder;
-let lastApiKey = '';
-let pcmQueue = [];
-let pcmBytesPending = 0;
-const PCM_TARGET_CHUNK_BYTES = 3200; // ~100ms at 16kHz mono 16-bit
+// The worklet resamples, converts to Int16 and frames; each message is one frame
+const FRAME_MS = 100;
+const FRAME_SAMPLES = TARGET_SAMPLE_RATE * FRAME_MS / 1000;
+const PCM_FRAME_BYTES = FRAME_SAMPLES * 2; // per channel
+
+// Reconnect with exponential backoff; PCM produced while the socket is down is
+// kept in a bounded ring buffer and replayed once it is back
+const MAX_RECONNECT_ATTEMPTS = 10;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const REPLAY_BUFFER_MAX_BYTES = PCM_FRAME_BYTES * 2 * 150; // ~15s of stereo audio
+
+// Link monitoring: audio is dropped instead of queued once the socket backlog holds
+// more than MAX_BUFFERED_MS, and sustained congestion (backlog or slow results) moves
+// PCM to Opus. Opus probes PCM again after a stable period that doubles on each failure.
+const OPUS_TIMESLICE_MS = 250;
+const OPUS_BITS_PER_SECOND = 32000; // per channel, plenty for speech
+const MAX_BUFFERED_MS = 2000;
+const CONGESTED_BUFFERED_MS = 1000;
+const CONGESTED_LATENCY_MS = 4000;
+const LINK_CHECK_INTERVAL_MS = 2000;
+const PCM_PROBE_BASE_MS = 60000;
+const PCM_PROBE_MAX_MS = 600000;
+
+function createSession(tabId, gate) {
+  return {
+    tabId,
+    mediaStream: null,
+    micStream: null,
+    audioContext: null,
+    sourceNode: null,
+    processorNode: null,
+    destinationNode: null,
+    micSourceNode: null,
+    mergerNode: null,
+    recordDestinationNode: null,
+    playbackAudio: null,
+    channelCount: 1, // 2 when the microphone rides along as channel 1
+    provider: null,
+    ws: null,
+    mode: 'pcm', // 'pcm' | 'opus'
+    mediaRecorder: null,
+    keepAliveTimer: null,
+    triedOpusFallback: false,
+    stopping: false,
+
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    replayBuffer: [],
+    replayBufferBytes: 0,
+
+    vadGate: { ...DEFAULT_VAD_GATE, ...gate },
+    gateOpen: false,
+    gateHangoverMs: 0,
+    prerollFrames: [],
+    silenceSkippedMs: 0,
+    audioCapturedMs: 0,
+
+    link: newLinkStats(),
+    linkTimer: null,
+    pcmProbeMs: PCM_PROBE_BASE_MS,
+    opusStableSince: 0,
+    lastPcmProbeAt: -Infinity, // Last switch back to linear16; none yet
+    droppedAudioMs: 0,
+    finalSeq: 0, // Numbers finals so the overlay can render them in spoken order
+    utterances: new Map(), // channel -> finals of the sentence still being spoken
+
+    // Popup diagnostics (totals span reconnects, unlike link stats)
+    levelDb: -Infinity,
+    bytesStreamed: 0,
+    streamedMs: 0,
+    lastInterimAt: 0,
+    lastFinalAt: 0,
+    lastError: null
+  };
+}
 
+// The port also tells the background this document is alive; reopen it when the
+// service worker restarts so transcripts keep flowing
 function connectBg() {
-  if (!bgPort) bgPort = chrome.runtime.connect({ name: 'offscreen-port' });
+  if (bgPort) return;
+  bgPort = chrome.runtime.connect({ name: 'offscreen-port' });
+  bgPort.onDisconnect.addListener(() => {
+    bgPort = null;
+    if (sessions.size > 0) connectBg();
+  });
+}
+
+function postStatus(session, text) {
+  chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', tabId: session.tabId, text }).catch(() => {});
 }
 
-function postStatus(text) {
-  chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', text }).catch(() => {});
+// Lifecycle transitions for the background's session state machine ('running' | 'reconnecting' | 'error')
+function postState(session, state, text) {
+  chrome.runtime.sendMessage({ type: 'SESSION_STATE', tabId: session.tabId, state, text }).catch(() => {});
 }
 
-async function startWithStreamId(streamId, apiKey) {
-  lastApiKey = apiKey;
+async function startSession(tabId, streamId, stt, captureMic, gate) {
+  if (sessions.has(tabId)) await stopSession(sessions.get(tabId));
+  const session = createSession(tabId, gate);
+  sessions.set(tabId, session);
   try {
-    mediaStream = await navigator.mediaDevices.getUserMedia({
+    session.mediaStream = await navigator.mediaDevices.getUserMedia({
       audio: {
         mandatory: {
           chromeMediaSource: 'tab',
@@ -39,290 +120,746 @@ async function startWithStreamId(streamId, apiKey) {
       video: false
     });
   } catch (e) {
+    sessions.delete(tabId);
     if (e?.name === 'NotAllowedError' || e?.message?.toLowerCase().includes('dismissed')) {
-      postStatus('Please allow the capture prompt, then press Start again.');
+      postStatus(session, 'Please allow the capture prompt, then press Start again.');
       throw e;
     }
     throw e;
   }
-  await setupAudioPipeline();
-  openDeepgramPCM(apiKey);
+  // From here on the tab stream is live; a failure must release it, or the next
+  // capture of this tab is refused with "active stream"
+  try {
+    session.micStream = captureMic ? await openMicrophone(session) : null;
+    session.channelCount = session.micStream ? 2 : 1;
+
+    const factory = STT_PROVIDERS[stt?.provider] || STT_PROVIDERS.deepgram;
+    session.provider = factory({ ...stt, channels: session.channelCount });
+    await setupAudioPipeline(session);
+    openPcmSocket(session);
+    session.linkTimer = setInterval(() => checkLink(session), LINK_CHECK_INTERVAL_MS);
+  } catch (e) {
+    await stopSession(session);
+    throw e;
+  }
 }
 
-function openDeepgramPCM(apiKey) {
-  // All config in query string - add diarization and multilingual support
-  const params = new URLSearchParams({
-    model: 'nova-3-general',          // Use Nova-3 for multilingual support
-    language: 'multi',               // Enable multilingual code-switching
-    encoding: 'linear16',
-    sample_rate: TARGET_SAMPLE_RATE.toString(),
-    channels: '1',
-    interim_results: 'true',
-    punctuate: 'true',
-    smart_format: 'true',
-    vad_events: 'true',
-    diarize: 'true',                 // Enable speaker diarization
-    endpointing: '100'               // Recommended 100ms for code-switching
-  });
-  const url = `wss://api.deepgram.com/v1/listen?${params}`;
+// The mic permission has to be granted to the extension beforehand (Options page);
+// the offscreen document cannot show a prompt, so failures fall back to tab audio only
+async function openMicrophone(session) {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+      video: false
+    });
+  } catch (e) {
+    postStatus(session, `Microphone unavailable (${e.name || e.message}), transcribing meeting audio only`);
+    return null;
+  }
+}
 
-  ws = new WebSocket(url, ['token', apiKey]);
-  currentMode = 'pcm';
-  attachWsHandlers();
+function openPcmSocket(session) {
+  session.ws = session.provider.connect('linear16');
+  session.mode = 'pcm';
+  attachWsHandlers(session);
 }
 
-async function stopAll() {
-  try { processorNode?.disconnect(); } catch {}
-  try { sourceNode?.disconnect(); } catch {}
-  try { destinationNode?.disconnect(); } catch {}
-  try { await audioContext?.close(); } catch {}
-  audioContext = null;
-  try { mediaStream?.getTracks().forEach(t => t.stop()); } catch {}
-  mediaStream = null;
-  try { ws?.close(); } catch {}
-  ws = null;
-  if (keepAliveTimer) { try { clearInterval(keepAliveTimer); } catch {} keepAliveTimer = null; }
-  try { if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop(); } catch {}
+async function stopSession(session) {
+  flushUtterances(session);
+  session.stopping = true;
+  sessions.delete(session.tabId);
+  if (session.reconnectTimer) { clearTimeout(session.reconnectTimer); session.reconnectTimer = null; }
+  if (session.linkTimer) { clearInterval(session.linkTimer); session.linkTimer = null; }
+  clearReplayBuffer(session);
+  try { session.processorNode?.disconnect(); } catch {}
+  try { session.sourceNode?.disconnect(); } catch {}
+  try { session.micSourceNode?.disconnect(); } catch {}
+  try { session.mergerNode?.disconnect(); } catch {}
+  try { session.destinationNode?.disconnect(); } catch {}
+  try { await session.audioContext?.close(); } catch {}
+  session.audioContext = null;
+  try { session.playbackAudio?.remove(); } catch {}
+  session.playbackAudio = null;
+  try { session.mediaStream?.getTracks().forEach(t => t.stop()); } catch {}
+  session.mediaStream = null;
+  try { session.micStream?.getTracks().forEach(t => t.stop()); } catch {}
+  session.micStream = null;
+  try { if (session.ws) session.provider?.close(session.ws); } catch {}
+  session.ws = null;
+  if (session.keepAliveTimer) { try { clearInterval(session.keepAliveTimer); } catch {} session.keepAliveTimer = null; }
+  stopOpusRecorder(session);
 }
 
-chrome.runtime.onMessage.addListener(async (msg) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === 'OFFSCREEN_START') {
-    try {
-      await startWithStreamId(msg.streamId, msg.dgApiKey);
-    } catch (e) {
-      postStatus(`Error: ${e.message}`);
-    }
+    connectBg();
+    startSession(msg.tabId, msg.streamId, msg.stt, msg.captureMic, msg.vadGate)
+      .then(() => sendResponse({ ok: true }), (e) => sendResponse({ error: e.message }));
+    return true;
   }
   if (msg?.type === 'OFFSCREEN_STOP') {
-    await stopAll();
+    // Answer with the session's silence-gate savings once everything is torn down
+    const session = sessions.get(msg.tabId);
+    if (!session) {
+      sendResponse(null);
+      return;
+    }
+    const stats = sessionStats(session);
+    stopSession(session).then(() => sendResponse(stats));
+    return true;
+  }
+  if (msg?.type === 'OFFSCREEN_LIST') {
+    sendResponse([...sessions.keys()]);
+  }
+  if (msg?.type === 'GET_DIAGNOSTICS') {
+    const session = sessions.get(msg.tabId);
+    sendResponse(session ? sessionDiagnostics(session) : null);
   }
 });
 
-async function setupAudioPipeline() {
-  if (!audioContext) audioContext = new AudioContext();
+async function setupAudioPipeline(session) {
+  const audioContext = session.audioContext = new AudioContext();
   if (audioContext.state === 'suspended') {
     try { await audioContext.resume(); } catch {}
   }
-  sourceNode = audioContext.createMediaStreamSource(mediaStream);
+  session.sourceNode = audioContext.createMediaStreamSource(session.mediaStream);
   
   // Create destination for playback
-  destinationNode = audioContext.createMediaStreamDestination();
+  session.destinationNode = audioContext.createMediaStreamDestination();
   
-  // Set up audio playback
-  const playbackAudio = document.getElementById('playbackAudio');
-  if (playbackAudio) {
-    playbackAudio.srcObject = destinationNode.stream;
-  }
+  // Capturing mutes the tab, so play its audio back through a per-session element
+  session.playbackAudio = document.createElement('audio');
+  session.playbackAudio.autoplay = true;
+  session.playbackAudio.srcObject = session.destinationNode.stream;
+  document.body.appendChild(session.playbackAudio);
   
   await audioContext.audioWorklet.addModule(chrome.runtime.getURL('worklet.js'));
-  processorNode = new AudioWorkletNode(audioContext, 'pcm-worklet');
-  processorNode.port.onmessage = (evt) => {
-    const input = evt.data;
-    if (!input) return;
-    console.log("Captured samples:", input.length);
-    if (!ws || ws.readyState !== WebSocket.OPEN) return;
-    if (currentMode !== 'pcm') return;
-    const down = downsampleBuffer(input, audioContext.sampleRate, TARGET_SAMPLE_RATE);
-    const pcm = floatTo16BitPCM(down);
-    enqueuePcm(pcm);
+  session.processorNode = new AudioWorkletNode(audioContext, 'pcm-worklet', {
+    channelCount: session.channelCount,
+    channelCountMode: 'explicit',
+    processorOptions: {
+      targetSampleRate: TARGET_SAMPLE_RATE,
+      frameSamples: FRAME_SAMPLES,
+      channels: session.channelCount
+    }
+  });
+  session.processorNode.port.onmessage = (evt) => {
+    if (!evt.data?.pcm) return;
+    session.levelDb = evt.data.levelDb;
+    if (session.mode !== 'pcm') return;
+    gateFrame(session, evt.data.pcm, evt.data.levelDb);
   };
   
   // Connect audio for both transcription and playback
-  sourceNode.connect(processorNode);
-  sourceNode.connect(destinationNode);
+  session.sourceNode.connect(session.destinationNode);
+  if (session.micStream) {
+    // Tab audio on channel 0, microphone on channel 1 (each downmixed to mono by the merger)
+    session.micSourceNode = audioContext.createMediaStreamSource(session.micStream);
+    session.mergerNode = audioContext.createChannelMerger(2);
+    session.sourceNode.connect(session.mergerNode, 0, 0);
+    session.micSourceNode.connect(session.mergerNode, 0, 1);
+    session.mergerNode.connect(session.processorNode);
+    // Same two channels for the Opus recorder
+    session.recordDestinationNode = audioContext.createMediaStreamDestination();
+    session.recordDestinationNode.channelCount = 2;
+    session.mergerNode.connect(session.recordDestinationNode);
+  } else {
+    session.sourceNode.connect(session.processorNode);
+  }
 }
 
-function attachWsHandlers() {
-  if (!ws) return;
-  ws.binaryType = 'arraybuffer';
+function attachWsHandlers(session) {
+  if (!session.ws) return;
+  const { provider } = session;
+  const socket = session.ws;
+  let opened = false;
+  socket.binaryType = 'arraybuffer';
+  session.link = newLinkStats();
 
-  ws.onopen = () => {
-    postStatus('Connected to Deepgram');
-    if (keepAliveTimer) clearInterval(keepAliveTimer);
-    keepAliveTimer = setInterval(() => {
+  socket.onopen = () => {
+    opened = true;
+    session.reconnectAttempts = 0;
+    postState(session, 'running', `Connected to ${provider.name}`);
+    if (session.keepAliveTimer) clearInterval(session.keepAliveTimer);
+    session.keepAliveTimer = setInterval(() => {
       try {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({ type: 'KeepAlive' }));
-        }
+        if (session.ws && session.ws.readyState === WebSocket.OPEN) provider.keepAlive(session.ws);
       } catch {}
     }, 5000);
+    if (session.mode === 'opus') startOpusRecorder(session);
+    flushReplayBuffer(session);
   };
 
-  ws.onmessage = (evt) => {
-    console.log("Deepgram msg:", evt.data); // debug
-    let msg;
-    try { msg = JSON.parse(evt.data); } catch { return; }
-    if (msg.type === 'Results' && msg.channel?.alternatives?.[0]) {
-      const alt = msg.channel.alternatives[0];
-      const text = alt.transcript || '';
-      if (!text) return;
-      
-      // Extract speaker information from diarization
-      let speaker = "Unknown Speaker";
-      if (alt.words && alt.words.length > 0) {
-        // Find the most frequent speaker in this segment
-        const speakerCounts = {};
-        alt.words.forEach(word => {
-          if (word.speaker !== undefined) {
-            const speakerId = `Speaker ${word.speaker}`;
-            speakerCounts[speakerId] = (speakerCounts[speakerId] || 0) + 1;
-          }
-        });
-        
-        // Get the speaker with the most words in this segment
-        const dominantSpeaker = Object.keys(speakerCounts).reduce((a, b) => 
-          speakerCounts[a] > speakerCounts[b] ? a : b, Object.keys(speakerCounts)[0]);
-        
-        if (dominantSpeaker) {
-          speaker = dominantSpeaker;
-        }
-      }
-      
-      // Extract language information for multilingual support
-      let detectedLanguages = [];
-      let dominantLanguage = 'en'; // default fallback
-      
-      // Get languages from the alternative level (overall detected languages)
-      if (alt.languages && Array.isArray(alt.languages)) {
-        detectedLanguages = alt.languages;
-        dominantLanguage = alt.languages[0] || 'en'; // First is most dominant
-      }
-      
-      // If we have word-level language detection, find the dominant language in this segment
-      if (alt.words && alt.words.length > 0) {
-        const languageCounts = {};
-        alt.words.forEach(word => {
-          if (word.language) {
-            languageCounts[word.language] = (languageCounts[word.language] || 0) + 1;
-          }
-        });
-        
-        if (Object.keys(languageCounts).length > 0) {
-          dominantLanguage = Object.keys(languageCounts).reduce((a, b) => 
-            languageCounts[a] > languageCounts[b] ? a : b);
-        }
-      }
-      
-      const isFinal = msg.is_final === true;
+  socket.onmessage = (evt) => {
+    const result = provider.parse(evt.data);
+    if (!result) return;
+    if (result.error) {
+      session.lastError = { message: `${provider.name} error: ${result.error}`, at: Date.now() };
+      postStatus(session, session.lastError.message);
+      return;
+    }
+    if (result.event === 'speechStarted') {
       connectBg();
-      bgPort?.postMessage({
-        type: isFinal ? 'DG_TRANSCRIPT_FINAL' : 'DG_TRANSCRIPT_INTERIM',
-        text,
-        speaker,
-        language: dominantLanguage,
-        detectedLanguages: detectedLanguages,
-        words: alt.words // Include word-level data for advanced processing
-      });
-    } else if (msg.type && msg.type.toLowerCase().includes('error')) {
-      postStatus(`Deepgram error: ${msg.message || msg.reason || msg.type}`);
+      bgPort?.postMessage({ type: 'DG_SPEECH_STARTED', tabId: session.tabId, channel: result.channel });
+      return;
+    }
+    if (result.event === 'utteranceEnd') {
+      flushUtterances(session, result.channel);
+      return;
+    }
+    if (result.isFinal) session.lastFinalAt = Date.now();
+    else session.lastInterimAt = Date.now();
+    if (socket === session.ws && result.end != null) noteResult(session, result.end);
+
+    if (!result.isFinal) {
+      // Show the sentence so far, not just the words after its last final fragment
+      const pending = session.utterances.get(result.channel);
+      postTranscript(session, 'DG_TRANSCRIPT_INTERIM', pending ? mergeUtterance([...pending, result]) : result);
+      return;
     }
+    addToUtterance(session, result);
   };
 
-  ws.onerror = () => {
-    postStatus('Deepgram socket error');
+  socket.onerror = () => {
+    postStatus(session, `${provider.name} socket error`);
   };
 
-  ws.onclose = (evt) => {
-    if (keepAliveTimer) { try { clearInterval(keepAliveTimer); } catch {} keepAliveTimer = null; }
-    postStatus(`Deepgram socket closed (${evt.code}) ${evt.reason || ''}`);
-    if (currentMode === 'pcm' && !triedOpusFallback) {
-      triedOpusFallback = true;
+  socket.onclose = (evt) => {
+    // A socket we already replaced (fallback, reconnect or stop) is not our concern
+    if (socket !== session.ws || session.stopping) return;
+    // The next socket starts a new timeline; send what was heard so far as it is
+    flushUtterances(session);
+    if (session.keepAliveTimer) { try { clearInterval(session.keepAliveTimer); } catch {} session.keepAliveTimer = null; }
+    const message = `${provider.name} socket closed (${evt.code}) ${evt.reason || ''}`;
+    session.lastError = { message, at: Date.now() };
+    postStatus(session, message);
+
+    // A PCM socket that never opened was likely rejected for its encoding; try Opus once
+    if (session.mode === 'pcm' && !opened && !session.triedOpusFallback && provider.supportsOpus) {
+      session.triedOpusFallback = true;
       try {
-        startOpusFallback();
+        startOpusFallback(session);
+        return;
       } catch {}
     }
+    scheduleReconnect(session);
   };
 }
 
-function startOpusFallback() {
-  const params = new URLSearchParams({
-    model: 'nova-3-general',          // Use Nova-3 for multilingual support
-    language: 'multi',               // Enable multilingual code-switching
-    interim_results: 'true',
-    punctuate: 'true',
-    smart_format: 'true',
-    vad_events: 'true',
-    encoding: 'opus',
-    container: 'webm',
-    diarize: 'true',                 // Enable speaker diarization in fallback mode too
-    endpointing: '100'               // Recommended 100ms for code-switching
+function postTranscript(session, type, result) {
+  connectBg();
+  bgPort?.postMessage({
+    type,
+    tabId: session.tabId,
+    text: result.text,
+    speaker: result.speaker,
+    language: result.language,
+    detectedLanguages: result.detectedLanguages,
+    words: result.words, // Include word-level data for advanced processing
+    channel: result.channel, // 1 = local microphone when it is captured
+    seq: type === 'DG_TRANSCRIPT_FINAL' ? session.finalSeq++ : undefined,
+    start: result.start, // Seconds of audio sent on the current socket
+    end: result.end
   });
-  const url = `wss://api.deepgram.com/v1/listen?${params}`;
-  try { ws?.close(); } catch {}
-  ws = new WebSocket(url, ['token', lastApiKey]);
-  currentMode = 'opus';
-  attachWsHandlers();
+}
+
+// ===== Utterances =====
+// Deepgram finalizes fragments at every short pause; translating those on their own wrecks
+// word order for verb-final languages. Finals are collected per channel until the speaker
+// is done (speech_final, UtteranceEnd or our own Finalize) and go out as one sentence.
+const MAX_UTTERANCE_SECONDS = 15; // Don't hold back a monologue that never pauses
+
+function addToUtterance(session, result) {
+  const parts = session.utterances.get(result.channel) || [];
+  parts.push(result);
+  session.utterances.set(result.channel, parts);
+  const span = (result.end ?? 0) - (parts[0].start ?? 0);
+  if (result.speechFinal || span >= MAX_UTTERANCE_SECONDS) {
+    flushUtterances(session, result.channel);
+  } else {
+    postTranscript(session, 'DG_TRANSCRIPT_INTERIM', mergeUtterance(parts));
+  }
+}
+
+// Without a channel every pending utterance is flushed
+function flushUtterances(session, channel) {
+  const channels = channel == null ? [...session.utterances.keys()] : [channel];
+  for (const ch of channels) {
+    const parts = session.utterances.get(ch);
+    session.utterances.delete(ch);
+    if (parts?.length) postTranscript(session, 'DG_TRANSCRIPT_FINAL', mergeUtterance(parts));
+  }
+}
+
+function mergeUtterance(parts) {
+  if (parts.length === 1) return parts[0];
+  const words = parts.flatMap(part => part.words || []);
+  const detectedLanguages = [...new Set(parts.flatMap(part => part.detectedLanguages || []))];
+  // Language of the longest fragment when words carry no language of their own
+  const longest = parts.reduce((a, b) => (b.text.length > a.text.length ? b : a));
+  return {
+    text: parts.map(part => part.text).join(' '),
+    speaker: words.length ? dominantSpeaker(words) : parts[parts.length - 1].speaker,
+    language: words.some(word => word.language) ? dominantLanguage({ languages: [longest.language], words }) : longest.language,
+    detectedLanguages,
+    words,
+    channel: parts[0].channel,
+    start: parts[0].start,
+    end: parts[parts.length - 1].end
+  };
+}
+
+function scheduleReconnect(session) {
+  if (session.reconnectTimer) return;
+  if (session.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+    postState(session, 'error', `${session.provider.name} unreachable after ${MAX_RECONNECT_ATTEMPTS} reconnect attempts`);
+    return;
+  }
+  session.reconnectAttempts++;
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (session.reconnectAttempts - 1));
+  postState(session, 'reconnecting', `Reconnecting ${session.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}…`);
+  session.reconnectTimer = setTimeout(() => {
+    session.reconnectTimer = null;
+    if (session.stopping) return;
+    try {
+      if (session.mode === 'opus') startOpusFallback(session);
+      else openPcmSocket(session);
+    } catch (e) {
+      console.warn('Reconnect failed:', e);
+      scheduleReconnect(session);
+    }
+  }, delay);
+}
+
+function bufferForReplay(session, chunk) {
+  session.replayBuffer.push(chunk);
+  session.replayBufferBytes += chunk.byteLength;
+  // Drop the oldest audio once the buffer is full
+  while (session.replayBufferBytes > REPLAY_BUFFER_MAX_BYTES && session.replayBuffer.length) {
+    session.replayBufferBytes -= session.replayBuffer.shift().byteLength;
+  }
+}
 
+function flushReplayBuffer(session) {
+  if (!session.replayBuffer.length) return;
+  const chunks = session.replayBuffer;
+  clearReplayBuffer(session);
+  if (session.mode !== 'pcm') return; // Opus restarts its own stream
+  for (const chunk of chunks) sendAudioChunk(session, chunk, FRAME_MS);
+}
+
+function clearReplayBuffer(session) {
+  session.replayBuffer = [];
+  session.replayBufferBytes = 0;
+}
+
+// The recorder starts once the new socket is open (see attachWsHandlers)
+function startOpusFallback(session) {
+  const { provider } = session;
+  stopOpusRecorder(session);
+  try { if (session.ws) provider.close(session.ws); } catch {}
+  session.ws = provider.connect('opus');
+  session.mode = 'opus';
+  session.opusStableSince = performance.now();
+  attachWsHandlers(session);
+}
+
+// The first chunk carries the WebM header the server needs to decode everything after it,
+// so recording only starts on an open socket and every chunk is sent
+function startOpusRecorder(session) {
   const mimeType = 'audio/webm;codecs=opus';
   if (!MediaRecorder.isTypeSupported(mimeType)) {
-    postStatus('Opus fallback unsupported');
+    postStatus(session, 'Opus fallback unsupported');
     return;
   }
-  try { if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop(); } catch {}
-  mediaRecorder = new MediaRecorder(mediaStream, { mimeType, audioBitsPerSecond: 64000 });
-  mediaRecorder.ondataavailable = async (e) => {
+  stopOpusRecorder(session);
+  const recordStream = session.recordDestinationNode ? session.recordDestinationNode.stream : session.mediaStream;
+  const recorder = session.mediaRecorder = new MediaRecorder(recordStream, {
+    mimeType,
+    audioBitsPerSecond: OPUS_BITS_PER_SECOND * session.channelCount
+  });
+  // Tied to this socket: the next one gets a recorder (and header) of its own
+  const socket = session.ws;
+  recorder.ondataavailable = async (e) => {
     if (!e.data || e.data.size === 0) return;
-    if (!ws || ws.readyState !== WebSocket.OPEN) return;
-    try { ws.send(await e.data.arrayBuffer()); } catch {}
+    const data = await e.data.arrayBuffer();
+    if (session.ws !== socket || socket.readyState !== WebSocket.OPEN) return;
+    // WebM clusters can't be skipped, so Opus chunks are never dropped for congestion
+    sendAudioChunk(session, data, OPUS_TIMESLICE_MS);
   };
-  mediaRecorder.start(250);
-}
-
-function downsampleBuffer(buffer, sampleRate, outSampleRate) {
-  if (outSampleRate === sampleRate) return buffer;
-  if (outSampleRate > sampleRate) throw new Error('Downsampling rate should be smaller than original');
-  const sampleRateRatio = sampleRate / outSampleRate;
-  const newLength = Math.round(buffer.length / sampleRateRatio);
-  const result = new Float32Array(newLength);
-  let offsetResult = 0;
-  let offsetBuffer = 0;
-  while (offsetResult < result.length) {
-    const nextOffsetBuffer = Math.round((offsetResult + 1) * sampleRateRatio);
-    let accum = 0, count = 0;
-    for (let i = offsetBuffer; i < nextOffsetBuffer && i < buffer.length; i++) {
-      accum += buffer[i];
-      count++;
-    }
-    result[offsetResult] = accum / (count || 1);
-    offsetResult++;
-    offsetBuffer = nextOffsetBuffer;
+  recorder.start(OPUS_TIMESLICE_MS);
+}
+
+function stopOpusRecorder(session) {
+  const recorder = session.mediaRecorder;
+  try { if (recorder && recorder.state !== 'inactive') recorder.stop(); } catch {}
+  session.mediaRecorder = null;
+}
+
+function newLinkStats() {
+  return {
+    bytesSent: 0,
+    audioMs: 0,       // Audio sent on this socket; providers time results on the same axis
+    sendLog: [],      // [{ audioMs, sentAt }] to match results back to their send time
+    drainedBytes: 0,
+    latencyMs: 0,
+    congestedChecks: 0
+  };
+}
+
+function sendAudioChunk(session, data, ms) {
+  try {
+    session.provider.sendAudio(session.ws, data);
+  } catch {
+    return;
+  }
+  const { link } = session;
+  link.bytesSent += data.byteLength;
+  link.audioMs += ms;
+  session.bytesStreamed += data.byteLength;
+  session.streamedMs += ms;
+  link.sendLog.push({ audioMs: link.audioMs, sentAt: performance.now() });
+  if (link.sendLog.length > 600) link.sendLog.shift();
+}
+
+// Send-to-result latency: time since the chunk holding the end of this result went out
+function noteResult(session, endSeconds) {
+  const { link } = session;
+  const endMs = endSeconds * 1000;
+  while (link.sendLog.length > 1 && link.sendLog[0].audioMs < endMs) link.sendLog.shift();
+  const entry = link.sendLog[0];
+  if (entry) link.latencyMs = performance.now() - entry.sentAt;
+}
+
+function bytesPerMs(session) {
+  return session.mode === 'opus'
+    ? (OPUS_BITS_PER_SECOND * session.channelCount) / 8000
+    : (PCM_FRAME_BYTES * session.channelCount) / FRAME_MS;
+}
+
+function bufferedMs(session) {
+  return session.ws ? session.ws.bufferedAmount / bytesPerMs(session) : 0;
+}
+
+function checkLink(session) {
+  const { ws, link, provider } = session;
+  if (session.stopping || !ws || ws.readyState !== WebSocket.OPEN) return;
+  const drained = link.bytesSent - ws.bufferedAmount;
+  const throughputBps = ((drained - link.drainedBytes) * 1000) / LINK_CHECK_INTERVAL_MS;
+  link.drainedBytes = drained;
+  // Gated silence sends nothing and gets no results; a reading from before it is stale
+  const lastSend = link.sendLog[link.sendLog.length - 1];
+  if (ws.bufferedAmount === 0 && (!lastSend || performance.now() - lastSend.sentAt > LINK_CHECK_INTERVAL_MS)) {
+    link.latencyMs = 0;
+  }
+  const congested = bufferedMs(session) > CONGESTED_BUFFERED_MS || link.latencyMs > CONGESTED_LATENCY_MS;
+  const now = performance.now();
+
+  if (session.mode === 'pcm') {
+    link.congestedChecks = congested ? link.congestedChecks + 1 : 0;
+    if (link.congestedChecks < 2 || !provider.supportsOpus) return;
+    // Failing again right after a probe means the link is still too slow; wait longer next time
+    session.pcmProbeMs = now - session.lastPcmProbeAt < session.pcmProbeMs
+      ? Math.min(PCM_PROBE_MAX_MS, session.pcmProbeMs * 2)
+      : PCM_PROBE_BASE_MS;
+    postStatus(session, `Slow connection (~${Math.round((throughputBps * 8) / 1000)} kbps), switching to Opus`);
+    // The next socket starts a new timeline; send what was heard so far as it is
+    flushUtterances(session);
+    try { startOpusFallback(session); } catch { scheduleReconnect(session); }
+  } else if (congested) {
+    session.opusStableSince = now;
+  } else if (now - session.opusStableSince >= session.pcmProbeMs) {
+    session.lastPcmProbeAt = now;
+    postStatus(session, 'Connection stable, switching back to linear16');
+    flushUtterances(session);
+    stopOpusRecorder(session);
+    try { provider.close(ws); } catch {}
+    try { openPcmSocket(session); } catch { scheduleReconnect(session); }
   }
-  return result;
 }
 
-function floatTo16BitPCM(float32Array) {
-  const buffer = new ArrayBuffer(float32Array.length * 2);
-  const view = new DataView(buffer);
-  let offset = 0;
-  for (let i = 0; i < float32Array.length; i++, offset += 2) {
-    let s = Math.max(-1, Math.min(1, float32Array[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+// ===== Speech recognition providers =====
+// A provider opens the streaming socket for an encoding ('linear16' | 'opus'),
+// sends audio, keep-alives and finalize requests on it, and turns each server message into
+// { isFinal, speechFinal, text, speaker, language, detectedLanguages, words, channel, start, end },
+// { event: 'speechStarted' | 'utteranceEnd', channel } or { error }; start/end are seconds of
+// audio sent on that socket. speechFinal marks the last final of a sentence.
+// Anything it does not care about parses to null.
+
+// Deepgram caps keyterm prompting; the user's own key terms go first
+const MAX_BOOSTED_TERMS = 100;
+
+function buildDeepgramParams(settings, encoding, channels, glossaryTerms = []) {
+  const params = new URLSearchParams({
+    model: settings.model,
+    language: settings.languageMode === 'fixed' ? settings.language : 'multi',
+    interim_results: 'true',
+    punctuate: 'true',
+    smart_format: 'true',
+    vad_events: 'true',              // SpeechStarted drives the overlay's speaking indicator
+    utterance_end_ms: '1000',        // UtteranceEnd closes sentences when endpointing misses the pause
+    diarize: 'true',                 // Enable speaker diarization
+    endpointing: String(settings.endpointing)
+  });
+  if (encoding === 'opus') {
+    params.set('encoding', 'opus');
+    params.set('container', 'webm');
+  } else {
+    params.set('encoding', 'linear16');
+    params.set('sample_rate', TARGET_SAMPLE_RATE.toString());
+    params.set('channels', String(channels));
   }
-  return buffer;
-}
-
-function enqueuePcm(arrayBuffer) {
-  pcmQueue.push(arrayBuffer);
-  pcmBytesPending += arrayBuffer.byteLength;
-  while (pcmBytesPending >= PCM_TARGET_CHUNK_BYTES) {
-    let toSend = PCM_TARGET_CHUNK_BYTES;
-    const out = new Uint8Array(PCM_TARGET_CHUNK_BYTES);
-    let offset = 0;
-    while (toSend > 0 && pcmQueue.length) {
-      const head = new Uint8Array(pcmQueue[0]);
-      const take = Math.min(toSend, head.byteLength);
-      out.set(head.subarray(0, take), offset);
-      offset += take;
-      toSend -= take;
-      if (take < head.byteLength) {
-        const remaining = head.subarray(take);
-        pcmQueue[0] = remaining.buffer.slice(remaining.byteOffset, remaining.byteOffset + remaining.byteLength);
-      } else {
-        pcmQueue.shift();
+  if (channels > 1) params.set('multichannel', 'true');
+  if (settings.profanityFilter) params.set('profanity_filter', 'true');
+  if (settings.numerals) params.set('numerals', 'true');
+  if (settings.redact) params.set('redact', settings.redact);
+  // Nova-3 takes keyterm prompts; older models only support boosted keywords
+  const boostParam = settings.model.startsWith('nova-3') ? 'keyterm' : 'keywords';
+  const terms = [...new Set([...settings.keyterms, ...glossaryTerms])].slice(0, MAX_BOOSTED_TERMS);
+  for (const term of terms) {
+    params.append(boostParam, boostParam === 'keywords' ? `${term}:2` : term);
+  }
+  return params;
+}
+
+function createDeepgramProvider({ apiKey, transcription, glossaryTerms, channels = 1 }) {
+  const settings = { ...DEFAULT_TRANSCRIPTION_SETTINGS, ...transcription };
+  return {
+    name: 'Deepgram',
+    supportsOpus: true,
+    connect(encoding) {
+      const params = buildDeepgramParams(settings, encoding, channels, glossaryTerms);
+      return new WebSocket(`wss://api.deepgram.com/v1/listen?${params}`, ['token', apiKey]);
+    },
+    sendAudio(socket, data) {
+      socket.send(data);
+    },
+    keepAlive(socket) {
+      socket.send(JSON.stringify({ type: 'KeepAlive' }));
+    },
+    finalize(socket) {
+      socket.send(JSON.stringify({ type: 'Finalize' }));
+    },
+    parse(data) {
+      let msg;
+      try { msg = JSON.parse(data); } catch { return null; }
+      if (msg.type === 'Results' && msg.channel?.alternatives?.[0]) {
+        const alt = msg.channel.alternatives[0];
+        const text = alt.transcript || '';
+        if (!text) return null;
+        return {
+          isFinal: msg.is_final === true,
+          // Our Finalize (silence gate closing) ends the sentence too
+          speechFinal: msg.speech_final === true || msg.from_finalize === true,
+          text,
+          speaker: dominantSpeaker(alt.words),
+          // A fixed language comes back untagged
+          language: settings.languageMode === 'fixed' ? settings.language : dominantLanguage(alt),
+          detectedLanguages: Array.isArray(alt.languages) ? alt.languages : [],
+          words: alt.words,
+          channel: msg.channel_index?.[0] ?? 0,
+          start: msg.start,
+          end: msg.start + msg.duration
+        };
+      }
+      if (msg.type === 'SpeechStarted') {
+        return { event: 'speechStarted', channel: msg.channel?.[0] ?? 0 };
+      }
+      if (msg.type === 'UtteranceEnd') {
+        return { event: 'utteranceEnd', channel: msg.channel?.[0] };
       }
+      if (msg.type && msg.type.toLowerCase().includes('error')) {
+        return { error: msg.message || msg.reason || msg.type };
+      }
+      return null;
+    },
+    close(socket) {
+      try {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'CloseStream' }));
+      } catch {}
+      socket.close();
+    }
+  };
+}
+
+// Generic provider for self-hosted, Whisper-style streaming servers. Audio goes
+// out as binary linear16 frames (interleaved when channels=2); the server answers with JSON text frames in
+// any of these shapes:
+//   { "text": "...", "is_final": true, "speaker"?: "...", "language"?: "en", "channel"?: 0,
+//     "start"?: 1.2, "end"?: 3.4 }
+//   { "type": "final" | "partial", "text": "..." }
+//   { "segments": [{ "text": "...", "completed": true }] }
+//   { "error": "..." }
+function createWebSocketProvider({ url, transcription, channels = 1 }) {
+  const settings = { ...DEFAULT_TRANSCRIPTION_SETTINGS, ...transcription };
+  return {
+    name: 'Speech server',
+    supportsOpus: false,
+    connect() {
+      const target = new URL(url);
+      target.searchParams.set('encoding', 'linear16');
+      target.searchParams.set('sample_rate', TARGET_SAMPLE_RATE.toString());
+      target.searchParams.set('channels', String(channels));
+      if (settings.languageMode === 'fixed') target.searchParams.set('language', settings.language);
+      return new WebSocket(target.toString());
+    },
+    sendAudio(socket, data) {
+      socket.send(data);
+    },
+    keepAlive(socket) {
+      socket.send(JSON.stringify({ type: 'KeepAlive' }));
+    },
+    finalize() {},
+    parse(data) {
+      if (typeof data !== 'string') return null;
+      let msg;
+      try { msg = JSON.parse(data); } catch { return null; }
+      if (msg.error) return { error: typeof msg.error === 'string' ? msg.error : msg.error.message || 'unknown error' };
+
+      let text = msg.text;
+      let isFinal = msg.is_final === true || msg.final === true || msg.type === 'final';
+      if (Array.isArray(msg.segments) && msg.segments.length) {
+        const last = msg.segments[msg.segments.length - 1];
+        text = last.text;
+        isFinal = last.completed === true;
+      }
+      text = (text || '').trim();
+      if (!text) return null;
+      const language = msg.language || (settings.languageMode === 'fixed' ? settings.language : null);
+      return {
+        isFinal,
+        // Servers that don't say otherwise are assumed to finalize whole sentences
+        speechFinal: msg.speech_final ?? true,
+        text,
+        speaker: msg.speaker || 'Unknown Speaker',
+        language,
+        detectedLanguages: language ? [language] : [],
+        words: msg.words,
+        channel: msg.channel ?? 0,
+        start: msg.start,
+        end: msg.end
+      };
+    },
+    close(socket) {
+      socket.close();
+    }
+  };
+}
+
+const STT_PROVIDERS = {
+  deepgram: createDeepgramProvider,
+  custom: createWebSocketProvider
+};
+
+// Find the speaker with the most words in this segment (Deepgram diarization)
+function dominantSpeaker(words) {
+  if (!words || words.length === 0) return 'Unknown Speaker';
+  const speakerCounts = {};
+  words.forEach(word => {
+    if (word.speaker !== undefined) {
+      const speakerId = `Speaker ${word.speaker}`;
+      speakerCounts[speakerId] = (speakerCounts[speakerId] || 0) + 1;
+    }
+  });
+  const ids = Object.keys(speakerCounts);
+  if (ids.length === 0) return 'Unknown Speaker';
+  return ids.reduce((a, b) => speakerCounts[a] > speakerCounts[b] ? a : b);
+}
+
+// Languages come from the alternative level (first is most dominant), refined
+// by word-level detection when the segment has it; null when nothing was detected
+function dominantLanguage(alt) {
+  let language = (Array.isArray(alt.languages) && alt.languages[0]) || null;
+  if (alt.words && alt.words.length > 0) {
+    const languageCounts = {};
+    alt.words.forEach(word => {
+      if (word.language) {
+        languageCounts[word.language] = (languageCounts[word.language] || 0) + 1;
+      }
+    });
+    const langs = Object.keys(languageCounts);
+    if (langs.length > 0) {
+      language = langs.reduce((a, b) => languageCounts[a] > languageCounts[b] ? a : b);
+    }
+  }
+  return language;
+}
+
+function gateFrame(session, frame, levelDb) {
+  const gate = session.vadGate;
+  session.audioCapturedMs += FRAME_MS;
+  if (!gate.enabled) {
+    enqueuePcm(session, frame);
+    return;
+  }
+
+  if (levelDb >= gate.thresholdDb) {
+    if (!session.gateOpen) {
+      session.gateOpen = true;
+      session.prerollFrames.forEach(f => enqueuePcm(session, f));
+      session.prerollFrames = [];
+    }
+    session.gateHangoverMs = gate.hangoverMs;
+    enqueuePcm(session, frame);
+  } else if (session.gateOpen) {
+    enqueuePcm(session, frame);
+    session.gateHangoverMs -= FRAME_MS;
+    if (session.gateHangoverMs <= 0) {
+      session.gateOpen = false;
+      // Nothing more is coming for a while; let the provider flush pending results
+      const { ws } = session;
+      try { if (ws && ws.readyState === WebSocket.OPEN) session.provider.finalize(ws); } catch {}
+    }
+  } else {
+    session.prerollFrames.push(frame);
+    if (session.prerollFrames.length * FRAME_MS > gate.prerollMs) {
+      session.prerollFrames.shift();
+      session.silenceSkippedMs += FRAME_MS;
+    }
+  }
+}
+
+function sessionStats(session) {
+  // Frames still waiting in the pre-roll were never sent either
+  const skippedMs = session.silenceSkippedMs + (session.gateOpen ? 0 : session.prerollFrames.length * FRAME_MS);
+  return {
+    capturedSeconds: session.audioCapturedMs / 1000,
+    silenceSkippedSeconds: skippedMs / 1000,
+    droppedSeconds: session.droppedAudioMs / 1000
+  };
+}
+
+const SOCKET_STATES = ['connecting', 'open', 'closing', 'closed'];
+
+// Snapshot for the popup's diagnostics panel; times are epoch ms (0 = never)
+function sessionDiagnostics(session) {
+  const { ws } = session;
+  return {
+    levelDb: session.levelDb,
+    bytesStreamed: session.bytesStreamed,
+    secondsStreamed: session.streamedMs / 1000,
+    provider: session.provider?.name,
+    socketState: session.reconnectTimer ? 'reconnecting' : ws ? SOCKET_STATES[ws.readyState] : 'closed',
+    mode: session.mode,
+    bufferedMs: Math.round(bufferedMs(session)),
+    latencyMs: Math.round(session.link.latencyMs),
+    lastInterimAt: session.lastInterimAt,
+    lastFinalAt: session.lastFinalAt,
+    lastError: session.lastError
+  };
+}
+
+// Sends a worklet frame, or keeps it for replay while the socket is down. Frames are
+// dropped once the socket is already sitting on MAX_BUFFERED_MS of unsent audio.
+function enqueuePcm(session, frame) {
+  const { ws } = session;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    if (bufferedMs(session) > MAX_BUFFERED_MS) {
+      session.droppedAudioMs += FRAME_MS;
+      return;
     }
-    pcmBytesPending -= PCM_TARGET_CHUNK_BYTES;
-    console.log("Sending PCM chunk of", out.byteLength, "bytes"); // debug
-    try { if (ws && ws.readyState === WebSocket.OPEN) ws.send(out.buffer); } catch {}
+    sendAudioChunk(session, frame, FRAME_MS);
+  } else {
+    bufferForReplay(session, frame);
   }
 }
@@ -1,3 +1,23 @@
+import { DEFAULT_TRANSLATION_PROVIDER, TRANSLATION_CONFIG_KEYS, getTranslationProvider, translationErrorKind } from './translators.js';
+import { normalizeGlossary, parseGlossaryCsv, glossaryToCsv } from './glossary.js';
+import { DEFAULT_TRANSCRIPTION_SETTINGS, DEFAULT_VAD_GATE } from './transcription.js';
+
+const sttProviderSelect = document.getElementById('sttProvider');
+const customSttGroup = document.getElementById('customSttGroup');
+const customSttUrlInput = document.getElementById('customSttUrl');
+const saveSttBtn = document.getElementById('saveStt');
+const testSttBtn = document.getElementById('testStt');
+const sttStatusEl = document.getElementById('sttStatus');
+
+const captureMicInput = document.getElementById('captureMic');
+const vadEnabledInput = document.getElementById('vadEnabled');
+const vadFields = document.getElementById('vadFields');
+const vadThresholdInput = document.getElementById('vadThreshold');
+const vadHangoverInput = document.getElementById('vadHangover');
+const vadPrerollInput = document.getElementById('vadPreroll');
+const saveAudioBtn = document.getElementById('saveAudio');
+const audioStatusEl = document.getElementById('audioStatus');
+
 const keyInput = document.getElementById('dgKey');
 const saveBtn = document.getElementById('save');
 const revealBtn = document.getElementById('reveal');
@@ -5,12 +25,57 @@ const hideBtn = document.getElementById('hide');
 const testBtn = document.getElementById('test');
 const dgStatusEl = document.getElementById('dgStatus');
 
+const dgModelSelect = document.getElementById('dgModel');
+const endpointingInput = document.getElementById('endpointing');
+const languageModeSelect = document.getElementById('languageMode');
+const fixedLanguageGroup = document.getElementById('fixedLanguageGroup');
+const fixedLanguageInput = document.getElementById('fixedLanguage');
+const keytermsInput = document.getElementById('keyterms');
+const redactSelect = document.getElementById('redact');
+const profanityFilterInput = document.getElementById('profanityFilter');
+const numeralsInput = document.getElementById('numerals');
+const saveTranscriptionBtn = document.getElementById('saveTranscription');
+const transcriptionStatusEl = document.getElementById('transcriptionStatus');
+
+// What to do about each kind of translation failure (see translators.js)
+const TRANSLATION_ERROR_HINTS = {
+  auth: 'check the key and its permissions',
+  quota: 'quota used up or rate limited',
+  network: 'could not reach the service'
+};
+
+// Mirrors the defaults in content.js
+const DEFAULT_APPEARANCE = { overlayTheme: 'dark', overlayFontFamily: 'system', overlayFontSize: 16, overlayLineHeight: 1.6 };
+
+const translationProviderSelect = document.getElementById('translationProvider');
+const providerFieldGroups = document.querySelectorAll('.provider-fields');
 const googleKeyInput = document.getElementById('googleKey');
-const saveGoogleBtn = document.getElementById('saveGoogle');
-const revealGoogleBtn = document.getElementById('revealGoogle');
-const hideGoogleBtn = document.getElementById('hideGoogle');
-const testGoogleBtn = document.getElementById('testGoogle');
-const googleStatusEl = document.getElementById('googleStatus');
+const deeplKeyInput = document.getElementById('deeplKey');
+const azureKeyInput = document.getElementById('azureKey');
+const azureRegionInput = document.getElementById('azureRegion');
+const libreUrlInput = document.getElementById('libreUrl');
+const libreKeyInput = document.getElementById('libreKey');
+const saveTranslationBtn = document.getElementById('saveTranslation');
+const revealTranslationBtn = document.getElementById('revealTranslation');
+const hideTranslationBtn = document.getElementById('hideTranslation');
+const testTranslationBtn = document.getElementById('testTranslation');
+const translationStatusEl = document.getElementById('translationStatus');
+
+const showLanguageBadgeInput = document.getElementById('showLanguageBadge');
+const overlayThemeSelect = document.getElementById('overlayTheme');
+const overlayFontFamilySelect = document.getElementById('overlayFontFamily');
+const overlayFontSizeInput = document.getElementById('overlayFontSize');
+const overlayLineHeightSelect = document.getElementById('overlayLineHeight');
+const saveOverlayBtn = document.getElementById('saveOverlay');
+const overlayStatusEl = document.getElementById('overlayStatus');
+
+const glossaryRowsEl = document.getElementById('glossaryRows');
+const addGlossaryTermBtn = document.getElementById('addGlossaryTerm');
+const saveGlossaryBtn = document.getElementById('saveGlossary');
+const importGlossaryBtn = document.getElementById('importGlossary');
+const exportGlossaryBtn = document.getElementById('exportGlossary');
+const glossaryFileInput = document.getElementById('glossaryFile');
+const glossaryStatusEl = document.getElementById('glossaryStatus');
 
 function showStatus(element, message, isSuccess = true) {
   element.textContent = message;
@@ -23,18 +88,274 @@ function showStatus(element, message, isSuccess = true) {
   }, 5000);
 }
 
+function updateSttFields() {
+  customSttGroup.style.display = sttProviderSelect.value === 'custom' ? 'block' : 'none';
+}
+
+function updateTranslationFields() {
+  providerFieldGroups.forEach(group => {
+    group.style.display = group.dataset.provider === translationProviderSelect.value ? 'block' : 'none';
+  });
+}
+
+// Same shape as the stored config translators.js reads
+function readTranslationConfig() {
+  return {
+    translationProvider: translationProviderSelect.value,
+    googleApiKey: googleKeyInput.value.trim(),
+    deeplApiKey: deeplKeyInput.value.trim(),
+    azureTranslatorKey: azureKeyInput.value.trim(),
+    azureTranslatorRegion: azureRegionInput.value.trim(),
+    libreTranslateUrl: libreUrlInput.value.trim(),
+    libreTranslateApiKey: libreKeyInput.value.trim()
+  };
+}
+
+function fillTranslationConfig(stored) {
+  translationProviderSelect.value = stored.translationProvider || DEFAULT_TRANSLATION_PROVIDER;
+  googleKeyInput.value = stored.googleApiKey || '';
+  deeplKeyInput.value = stored.deeplApiKey || '';
+  azureKeyInput.value = stored.azureTranslatorKey || '';
+  azureRegionInput.value = stored.azureTranslatorRegion || '';
+  libreUrlInput.value = stored.libreTranslateUrl || '';
+  libreKeyInput.value = stored.libreTranslateApiKey || '';
+  updateTranslationFields();
+}
+
+// Returns an error message, or null when the selected provider is usable
+function validateTranslationConfig(config) {
+  switch (config.translationProvider) {
+    case 'google':
+      if (!config.googleApiKey) return '❌ Please enter a valid API key';
+      if (!config.googleApiKey.startsWith('AIza')) return '⚠️ Google API keys typically start with "AIza"';
+      return null;
+    case 'deepl':
+      return config.deeplApiKey ? null : '❌ Please enter your DeepL authentication key';
+    case 'azure':
+      return config.azureTranslatorKey ? null : '❌ Please enter your Azure Translator key';
+    case 'libre':
+      if (!/^https?:\/\//.test(config.libreTranslateUrl)) return '❌ Server URL must start with http:// or https://';
+      // The extension's content security policy only allows plain http to this machine
+      if (/^http:\/\//.test(config.libreTranslateUrl) && !/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(config.libreTranslateUrl)) {
+        return '❌ Remote servers must use https:// (http:// only works for localhost)';
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+function addGlossaryRow(entry = { term: '', translation: '', lang: '' }) {
+  glossaryRowsEl.querySelector('.glossary-empty')?.remove();
+  const row = document.createElement('div');
+  row.className = 'glossary-row';
+
+  const fields = [
+    ['term', 'Acme Cloud'],
+    ['translation', 'keep as is'],
+    ['lang', 'any']
+  ];
+  for (const [name, placeholder] of fields) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = name;
+    input.placeholder = placeholder;
+    input.value = entry[name];
+    input.autocomplete = 'off';
+    row.appendChild(input);
+  }
+
+  const remove = document.createElement('button');
+  remove.className = 'btn btn-secondary';
+  remove.textContent = '✕';
+  remove.title = 'Remove term';
+  remove.addEventListener('click', () => {
+    row.remove();
+    if (!glossaryRowsEl.children.length) fillGlossary([]);
+  });
+  row.appendChild(remove);
+  glossaryRowsEl.appendChild(row);
+  return row;
+}
+
+function fillGlossary(entries) {
+  glossaryRowsEl.textContent = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'glossary-empty';
+    empty.textContent = 'No glossary terms yet';
+    glossaryRowsEl.appendChild(empty);
+    return;
+  }
+  entries.forEach(entry => addGlossaryRow(entry));
+}
+
+function readGlossary() {
+  return normalizeGlossary([...glossaryRowsEl.querySelectorAll('.glossary-row')].map(row => ({
+    term: row.querySelector('[name="term"]').value,
+    translation: row.querySelector('[name="translation"]').value,
+    lang: row.querySelector('[name="lang"]').value
+  })));
+}
+
+function updateLanguageFields() {
+  fixedLanguageGroup.style.visibility = languageModeSelect.value === 'fixed' ? 'visible' : 'hidden';
+}
+
+function updateVadFields() {
+  vadFields.style.opacity = vadEnabledInput.checked ? '1' : '0.4';
+}
+
+function fillVadGate(stored) {
+  const gate = { ...DEFAULT_VAD_GATE, ...stored };
+  vadEnabledInput.checked = gate.enabled;
+  vadThresholdInput.value = gate.thresholdDb;
+  vadHangoverInput.value = gate.hangoverMs;
+  vadPrerollInput.value = gate.prerollMs;
+  updateVadFields();
+}
+
+function fillTranscriptionSettings(stored) {
+  const settings = { ...DEFAULT_TRANSCRIPTION_SETTINGS, ...stored };
+  dgModelSelect.value = settings.model;
+  endpointingInput.value = settings.endpointing;
+  languageModeSelect.value = settings.languageMode;
+  fixedLanguageInput.value = settings.language;
+  keytermsInput.value = settings.keyterms.join('\n');
+  redactSelect.value = settings.redact;
+  profanityFilterInput.checked = settings.profanityFilter;
+  numeralsInput.checked = settings.numerals;
+  updateLanguageFields();
+}
+
 async function load() {
-  const { dgApiKey, googleApiKey } = await chrome.storage.local.get(['dgApiKey', 'googleApiKey']);
+  const stored = await chrome.storage.local.get(['dgApiKey', 'sttProvider', 'customSttUrl', 'transcriptionSettings', 'captureMic', 'vadGate', 'glossary', ...TRANSLATION_CONFIG_KEYS]);
+  const { dgApiKey, sttProvider, customSttUrl, transcriptionSettings, captureMic, vadGate } = stored;
+  captureMicInput.checked = captureMic === true;
+  fillVadGate(vadGate);
+  sttProviderSelect.value = sttProvider || 'deepgram';
+  customSttUrlInput.value = customSttUrl || '';
+  updateSttFields();
+  fillTranscriptionSettings(transcriptionSettings);
   if (dgApiKey) {
     keyInput.value = dgApiKey;
     showStatus(dgStatusEl, '✅ Deepgram API key loaded successfully', true);
   }
-  if (googleApiKey) {
-    googleKeyInput.value = googleApiKey;
-    showStatus(googleStatusEl, '✅ Google Translate API key loaded successfully', true);
+  fillTranslationConfig(stored);
+  fillGlossary(normalizeGlossary(stored.glossary));
+  // Overlay preferences sync across devices, like the target languages
+  const overlay = await chrome.storage.sync.get({ showLanguageBadge: false, ...DEFAULT_APPEARANCE });
+  showLanguageBadgeInput.checked = overlay.showLanguageBadge === true;
+  overlayThemeSelect.value = overlay.overlayTheme;
+  overlayFontFamilySelect.value = overlay.overlayFontFamily;
+  overlayFontSizeInput.value = overlay.overlayFontSize;
+  overlayLineHeightSelect.value = String(overlay.overlayLineHeight);
+}
+
+// Speech recognition provider handlers
+sttProviderSelect.addEventListener('change', updateSttFields);
+
+// Returns an error message, or null for a usable speech server URL
+function validateSttUrl(url) {
+  if (!/^wss?:\/\//.test(url)) return '❌ Server URL must start with ws:// or wss://';
+  // The extension's content security policy only allows plain ws to this machine
+  if (/^ws:\/\//.test(url) && !/^ws:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(url)) {
+    return '❌ Remote servers must use wss:// (ws:// only works for localhost)';
   }
+  return null;
 }
 
+saveSttBtn.addEventListener('click', async () => {
+  const provider = sttProviderSelect.value;
+  const url = customSttUrlInput.value.trim();
+  if (provider === 'custom') {
+    const error = validateSttUrl(url);
+    if (error) {
+      showStatus(sttStatusEl, error, false);
+      return;
+    }
+  }
+
+  await chrome.storage.local.set({ sttProvider: provider, customSttUrl: url });
+  showStatus(sttStatusEl, '✅ Speech recognition settings saved!', true);
+});
+
+testSttBtn.addEventListener('click', () => {
+  if (sttProviderSelect.value !== 'custom') {
+    showStatus(sttStatusEl, 'ℹ️ Use the Test button in the Deepgram section below', true);
+    return;
+  }
+  const url = customSttUrlInput.value.trim();
+  const urlError = validateSttUrl(url);
+  if (urlError) {
+    showStatus(sttStatusEl, urlError, false);
+    return;
+  }
+
+  showStatus(sttStatusEl, '🧪 Connecting to speech server...', true);
+
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (error) {
+    showStatus(sttStatusEl, `❌ Invalid URL: ${error.message}`, false);
+    return;
+  }
+  const timer = setTimeout(() => {
+    socket.close();
+    showStatus(sttStatusEl, '❌ Connection timed out', false);
+  }, 5000);
+  socket.onopen = () => {
+    clearTimeout(timer);
+    socket.close();
+    showStatus(sttStatusEl, '🎉 Speech server is reachable!', true);
+  };
+  socket.onerror = () => {
+    clearTimeout(timer);
+    showStatus(sttStatusEl, '❌ Could not connect to speech server', false);
+  };
+});
+
+// Audio capture handlers
+vadEnabledInput.addEventListener('change', updateVadFields);
+
+saveAudioBtn.addEventListener('click', async () => {
+  const captureMic = captureMicInput.checked;
+  const thresholdDb = parseInt(vadThresholdInput.value, 10);
+  const hangoverMs = parseInt(vadHangoverInput.value, 10);
+  const prerollMs = parseInt(vadPrerollInput.value, 10);
+  if (!Number.isFinite(thresholdDb) || thresholdDb < -90 || thresholdDb > -10) {
+    showStatus(audioStatusEl, '❌ Threshold must be between -90 and -10 dBFS', false);
+    return;
+  }
+  if (!Number.isFinite(hangoverMs) || hangoverMs < 100 || hangoverMs > 5000) {
+    showStatus(audioStatusEl, '❌ Hangover must be between 100 and 5000 ms', false);
+    return;
+  }
+  if (!Number.isFinite(prerollMs) || prerollMs < 0 || prerollMs > 2000) {
+    showStatus(audioStatusEl, '❌ Pre-roll must be between 0 and 2000 ms', false);
+    return;
+  }
+
+  if (captureMic) {
+    // Grants the permission to the extension origin so the offscreen document can use the mic later
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      stream.getTracks().forEach(t => t.stop());
+    } catch (error) {
+      captureMicInput.checked = false;
+      showStatus(audioStatusEl, `❌ Microphone access denied: ${error.message}`, false);
+      return;
+    }
+  }
+
+  await chrome.storage.local.set({
+    captureMic,
+    vadGate: { enabled: vadEnabledInput.checked, thresholdDb, hangoverMs, prerollMs }
+  });
+  showStatus(audioStatusEl, '✅ Audio capture settings saved!', true);
+});
+
 // Deepgram API key handlers
 saveBtn.addEventListener('click', async () => {
   const value = keyInput.value.trim();
@@ -92,71 +413,163 @@ testBtn.addEventListener('click', async () => {
   }
 });
 
-// Google Translate API key handlers
-saveGoogleBtn.addEventListener('click', async () => {
-  const value = googleKeyInput.value.trim();
-  if (!value) {
-    showStatus(googleStatusEl, '❌ Please enter a valid API key', false);
+// Transcription settings handlers
+languageModeSelect.addEventListener('change', updateLanguageFields);
+
+saveTranscriptionBtn.addEventListener('click', async () => {
+  const endpointing = parseInt(endpointingInput.value, 10);
+  if (!Number.isFinite(endpointing) || endpointing < 10 || endpointing > 5000) {
+    showStatus(transcriptionStatusEl, '❌ Endpointing must be between 10 and 5000 ms', false);
     return;
   }
-  
-  if (!value.startsWith('AIza')) {
-    showStatus(googleStatusEl, '⚠️ Google API keys typically start with "AIza"', false);
+
+  const language = fixedLanguageInput.value.trim();
+  if (languageModeSelect.value === 'fixed' && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,4})?$/.test(language)) {
+    showStatus(transcriptionStatusEl, '❌ Enter a language code such as "en" or "de-CH"', false);
     return;
   }
-  
-  await chrome.storage.local.set({ googleApiKey: value });
-  showStatus(googleStatusEl, '✅ Google Translate API key saved successfully!', true);
+
+  const keyterms = keytermsInput.value
+    .split('\n')
+    .map(term => term.trim())
+    .filter(Boolean);
+
+  await chrome.storage.local.set({
+    transcriptionSettings: {
+      model: dgModelSelect.value,
+      languageMode: languageModeSelect.value,
+      language: language || DEFAULT_TRANSCRIPTION_SETTINGS.language,
+      endpointing,
+      keyterms,
+      profanityFilter: profanityFilterInput.checked,
+      redact: redactSelect.value,
+      numerals: numeralsInput.checked
+    }
+  });
+  showStatus(transcriptionStatusEl, '✅ Transcription settings saved! They apply from the next Start.', true);
+});
+
+// Translation provider handlers
+translationProviderSelect.addEventListener('change', updateTranslationFields);
+
+saveTranslationBtn.addEventListener('click', async () => {
+  const config = readTranslationConfig();
+  const problem = validateTranslationConfig(config);
+  if (problem) {
+    showStatus(translationStatusEl, problem, false);
+    return;
+  }
+
+  // A self-hosted server is not covered by the manifest's host permissions
+  if (config.translationProvider === 'libre') {
+    const origin = `${new URL(config.libreTranslateUrl).origin}/*`;
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ origins: [origin] });
+    } catch {}
+    if (!granted) {
+      showStatus(translationStatusEl, `❌ Access to ${origin} is needed to reach the server`, false);
+      return;
+    }
+  }
+
+  await chrome.storage.local.set(config);
+  const { name } = getTranslationProvider(config.translationProvider);
+  showStatus(translationStatusEl, `✅ ${name} settings saved successfully!`, true);
 });
 
-revealGoogleBtn.addEventListener('click', () => {
-  googleKeyInput.type = 'text';
-  revealGoogleBtn.style.display = 'none';
-  hideGoogleBtn.style.display = 'inline-flex';
+revealTranslationBtn.addEventListener('click', () => {
+  document.querySelectorAll('.secret').forEach(input => { input.type = 'text'; });
+  revealTranslationBtn.style.display = 'none';
+  hideTranslationBtn.style.display = 'inline-flex';
 });
 
-hideGoogleBtn.addEventListener('click', () => {
-  googleKeyInput.type = 'password';
-  hideGoogleBtn.style.display = 'none';
-  revealGoogleBtn.style.display = 'inline-flex';
+hideTranslationBtn.addEventListener('click', () => {
+  document.querySelectorAll('.secret').forEach(input => { input.type = 'password'; });
+  hideTranslationBtn.style.display = 'none';
+  revealTranslationBtn.style.display = 'inline-flex';
 });
 
-testGoogleBtn.addEventListener('click', async () => {
-  const apiKey = googleKeyInput.value.trim();
-  if (!apiKey) {
-    showStatus(googleStatusEl, '❌ Please enter an API key first', false);
+testTranslationBtn.addEventListener('click', async () => {
+  const config = readTranslationConfig();
+  const problem = validateTranslationConfig(config);
+  if (problem) {
+    showStatus(translationStatusEl, problem, false);
     return;
   }
-  
-  showStatus(googleStatusEl, '🧪 Testing Google Translate API...', true);
-  
+
+  const provider = getTranslationProvider(config.translationProvider);
+  showStatus(translationStatusEl, `🧪 Testing ${provider.name}...`, true);
+
   try {
     // Test with a simple translation
-    const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        q: 'Hello',
-        target: 'es',
-        format: 'text'
-      })
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      if (data.data?.translations?.[0]) {
-        showStatus(googleStatusEl, '🎉 Google Translate API key is valid and working!', true);
-      } else {
-        showStatus(googleStatusEl, '❌ Unexpected response from Google Translate API', false);
-      }
-    } else {
-      const errorData = await response.json();
-      showStatus(googleStatusEl, `❌ API test failed: ${errorData.error?.message || response.statusText}`, false);
+    const result = await provider.translate({ text: 'Hello', target: 'es', source: 'en' }, config);
+    showStatus(translationStatusEl, `🎉 ${provider.name} is working! "Hello" → "${result.text}"`, true);
+  } catch (error) {
+    const hint = TRANSLATION_ERROR_HINTS[translationErrorKind(error)];
+    showStatus(translationStatusEl, `❌ API test failed: ${error.message}${hint ? ` (${hint})` : ''}`, false);
+  }
+});
+
+// Overlay handlers
+saveOverlayBtn.addEventListener('click', async () => {
+  const fontSize = Number(overlayFontSizeInput.value);
+  if (!Number.isFinite(fontSize) || fontSize < 12 || fontSize > 28) {
+    showStatus(overlayStatusEl, '❌ Text size must be between 12 and 28 px', false);
+    return;
+  }
+  await chrome.storage.sync.set({
+    showLanguageBadge: showLanguageBadgeInput.checked,
+    overlayTheme: overlayThemeSelect.value,
+    overlayFontFamily: overlayFontFamilySelect.value,
+    overlayFontSize: fontSize,
+    overlayLineHeight: Number(overlayLineHeightSelect.value)
+  });
+  showStatus(overlayStatusEl, '✅ Overlay settings saved! Open overlays update right away.', true);
+});
+
+// Glossary handlers
+addGlossaryTermBtn.addEventListener('click', () => {
+  addGlossaryRow().querySelector('input').focus();
+});
+
+saveGlossaryBtn.addEventListener('click', async () => {
+  const glossary = readGlossary();
+  await chrome.storage.local.set({ glossary });
+  fillGlossary(glossary);
+  showStatus(glossaryStatusEl, `✅ Glossary saved (${glossary.length} terms). Recognition boosts apply from the next Start.`, true);
+});
+
+importGlossaryBtn.addEventListener('click', () => glossaryFileInput.click());
+
+glossaryFileInput.addEventListener('change', async () => {
+  const file = glossaryFileInput.files[0];
+  glossaryFileInput.value = '';
+  if (!file) return;
+  try {
+    const imported = parseGlossaryCsv(await file.text());
+    if (imported.length === 0) {
+      showStatus(glossaryStatusEl, '❌ No terms found. Expected columns: term,translation,language', false);
+      return;
     }
+    // Imported rows replace existing entries for the same term and language
+    const key = entry => `${entry.term.toLowerCase()}|${entry.lang}`;
+    const merged = new Map(readGlossary().map(entry => [key(entry), entry]));
+    imported.forEach(entry => merged.set(key(entry), entry));
+    fillGlossary([...merged.values()]);
+    showStatus(glossaryStatusEl, `📥 Imported ${imported.length} terms. Press Save to keep them.`, true);
   } catch (error) {
-    showStatus(googleStatusEl, `❌ Connection error: ${error.message}`, false);
+    showStatus(glossaryStatusEl, `❌ Could not read CSV: ${error.message}`, false);
   }
 });
 
+exportGlossaryBtn.addEventListener('click', () => {
+  const blob = new Blob([glossaryToCsv(readGlossary())], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'glossary.csv';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
 load();
@@ -1,8 +1,28 @@
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const statusEl = document.getElementById('status');
-const langSelect = document.getElementById("targetLang");
+const selectedLangsEl = document.getElementById('selectedLangs');
+const langSearchEl = document.getElementById('langSearch');
+const langListEl = document.getElementById('langList');
 const settingsLink = document.getElementById("settingsLink");
+const sessionsEl = document.getElementById('sessions');
+const sessionListEl = document.getElementById('sessionList');
+const diagnosticsEl = document.getElementById('diagnostics');
+const levelFillEl = document.getElementById('levelFill');
+
+const DIAGNOSTICS_POLL_MS = 500;
+const LEVEL_FLOOR_DB = -70; // Empty meter at or below this level
+const MAX_RECENT_LANGS = 5;
+
+// Tab the popup was opened on; Start/Stop act on it
+let currentTabId = null;
+
+// Target language picker: the provider's list, the selection in stacking order and recent picks
+let languages = [];
+let languageNames = new Map();
+let targetLangs = [];
+let recentLangs = [];
+let languageListError = null;
 
 function setStatus(text, type = 'default') {
   statusEl.textContent = text || 'Ready to start';
@@ -48,50 +68,161 @@ async function queryActiveMeetingTab() {
   return tab.id;
 }
 
-// ---------- Start ----------
-startBtn.addEventListener('click', async () => {
+// Selected languages in the order they were picked; the overlay stacks them the same way
+function selectedLangs() {
+  return [...targetLangs];
+}
+
+function langName(code) {
+  return languageNames.get(code) || code;
+}
+
+function currentLangName() {
+  return targetLangs.map(langName).join(', ');
+}
+
+// ---------- Sessions ----------
+async function refreshSessions() {
+  let list = [];
   try {
-    setStatus('Starting transcription...', 'default');
-    const tabId = await queryActiveMeetingTab();
-    const lang = langSelect.value;
+    list = (await chrome.runtime.sendMessage({ type: 'GET_STATUS' }))?.sessions || [];
+  } catch {}
 
-    await chrome.storage.sync.set({ targetLang: lang });
-    await chrome.runtime.sendMessage({ type: 'START_TRANSCRIBE', tabId });
+  // Start is only offered once the current tab's session has fully stopped
+  const current = list.find(session => session.tabId === currentTabId);
+  startBtn.disabled = !!current;
+  stopBtn.disabled = !current || current.state === 'stopping';
 
-    // Save running state
-    await chrome.storage.local.set({ isRunning: true });
+  sessionListEl.textContent = '';
+  sessionsEl.hidden = list.length === 0;
+  for (const session of list) {
+    const row = document.createElement('div');
+    row.className = `session-row${session.tabId === currentTabId ? ' current' : ''}`;
 
-    // Update UI
-    startBtn.disabled = true;
-    stopBtn.disabled = false;
-    const langName = langSelect.options[langSelect.selectedIndex].text;
-    setStatus(`Translating to ${langName}`, 'running');
+    const info = document.createElement('div');
+    info.className = 'session-info';
+    const title = document.createElement('div');
+    title.className = 'session-title';
+    title.textContent = session.title;
+    title.title = session.title;
+    const status = document.createElement('div');
+    status.className = 'session-status';
+    status.textContent = session.status || session.state;
+    info.appendChild(title);
+    info.appendChild(status);
+
+    const stop = document.createElement('button');
+    stop.className = 'session-stop';
+    stop.textContent = '⏹';
+    stop.title = 'Stop this session';
+    stop.addEventListener('click', () => stopSession(session.tabId));
+
+    row.appendChild(info);
+    row.appendChild(stop);
+    sessionListEl.appendChild(row);
+  }
+  return current?.state ?? null;
+}
+
+async function stopSession(tabId) {
+  try {
+    if (tabId === currentTabId) setStatus('Stopping transcription...', 'default');
+    const result = await chrome.runtime.sendMessage({ type: 'STOP_TRANSCRIBE', tabId });
+    if (result?.error) throw new Error(result.error);
   } catch (e) {
     setStatus(`❌ ${e.message}`, 'error');
   }
-});
+}
 
-// ---------- Stop ----------
-stopBtn.addEventListener('click', async () => {
+// ---------- Diagnostics ----------
+// Polled while the popup is open: the offscreen pipeline answers for capture and
+// socket health, the tab's content script for the last translation failure
+function formatAge(at) {
+  if (!at) return 'never';
+  const seconds = Math.round((Date.now() - at) / 1000);
+  return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)}m ${seconds % 60}s ago`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function setDiag(id, text, isError = false) {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.title = text;
+  el.classList.toggle('error', isError);
+}
+
+async function refreshDiagnostics() {
+  if (currentTabId == null) return;
+  let capture = null;
+  let page = null;
   try {
-    setStatus('Stopping transcription...', 'default');
-    await chrome.runtime.sendMessage({ type: 'STOP_TRANSCRIBE' });
+    capture = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS', tabId: currentTabId });
+  } catch {}
+  try {
+    page = await chrome.tabs.sendMessage(currentTabId, { type: 'GET_DIAGNOSTICS' });
+  } catch {}
+
+  diagnosticsEl.hidden = !capture;
+  if (!capture) return;
+
+  const level = Number.isFinite(capture.levelDb) ? capture.levelDb : -Infinity;
+  const fill = Math.max(0, Math.min(1, (level - LEVEL_FLOOR_DB) / -LEVEL_FLOOR_DB));
+  levelFillEl.style.width = `${Math.round(fill * 100)}%`;
+  levelFillEl.classList.toggle('hot', level > -6);
+  setDiag('diagLevel', Number.isFinite(level) ? `${level.toFixed(0)} dBFS` : 'no audio');
+
+  const link = capture.socketState === 'open'
+    ? `${capture.mode}, ${capture.latencyMs} ms, ${capture.bufferedMs} ms queued`
+    : capture.mode;
+  setDiag('diagSocket', `${capture.provider} ${capture.socketState} (${link})`);
+  setDiag('diagStreamed', `${formatBytes(capture.bytesStreamed)} · ${capture.secondsStreamed.toFixed(0)}s`);
+  setDiag('diagInterim', formatAge(capture.lastInterimAt));
+  setDiag('diagFinal', formatAge(capture.lastFinalAt));
+  setDiag('diagError', capture.lastError
+    ? `${capture.lastError.message} (${formatAge(capture.lastError.at)})`
+    : 'none', !!capture.lastError);
 
-    // Save running state
-    await chrome.storage.local.set({ isRunning: false });
+  const translationError = page?.lastTranslationError;
+  setDiag('diagTranslation', translationError
+    ? `${translationError.message} (${formatAge(translationError.at)})`
+    : page ? 'no errors' : 'overlay not loaded', !!translationError);
+}
 
-    // Update UI
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    setStatus('Translation stopped', 'stopped');
+// ---------- Start ----------
+startBtn.addEventListener('click', async () => {
+  try {
+    setStatus('Starting transcription...', 'default');
+    const tabId = await queryActiveMeetingTab();
+    if (targetLangs.length) await chrome.storage.sync.set({ targetLangs: selectedLangs() });
+    startBtn.disabled = true;
+    const result = await chrome.runtime.sendMessage({ type: 'START_TRANSCRIBE', tabId });
+    if (result?.error) throw new Error(result.error);
+
+    setStatus(`Translating to ${currentLangName()}`, 'running');
   } catch (e) {
     setStatus(`❌ ${e.message}`, 'error');
   }
+  refreshSessions();
 });
 
+// ---------- Stop ----------
+stopBtn.addEventListener('click', () => stopSession(currentTabId));
+
 // ---------- Background messages ----------
 chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'SESSION_STATE') {
+    refreshSessions();
+    return;
+  }
   if (msg?.type === 'STATUS_UPDATE') {
+    refreshSessions();
+    // Other tabs' updates only show in the session list
+    if (msg.tabId != null && msg.tabId !== currentTabId) return;
     if (msg.text.includes('Error') || msg.text.includes('error')) {
       setStatus(`Error: ${msg.text}`, 'error');
     } else if (msg.text.includes('Running') || msg.text.includes('Connected')) {
@@ -110,29 +241,116 @@ settingsLink.addEventListener('click', (e) => {
   chrome.runtime.openOptionsPage();
 });
 
-// ---------- Language dropdown ----------
-langSelect.addEventListener("change", (e) => {
-  const lang = e.target.value;
-  chrome.storage.sync.set({ targetLang: lang });
-  console.log("🔤 Language set to:", lang);
-});
+// ---------- Target languages ----------
+function toggleLang(code) {
+  if (targetLangs.includes(code)) {
+    // At least one language has to stay selected
+    if (targetLangs.length === 1) return;
+    targetLangs = targetLangs.filter(lang => lang !== code);
+    // Read fresh: the overlay's language chips change this while the popup is open
+    chrome.storage.sync.get("hiddenTargetLangs", ({ hiddenTargetLangs = [] }) => {
+      if (hiddenTargetLangs.includes(code)) {
+        chrome.storage.sync.set({ hiddenTargetLangs: hiddenTargetLangs.filter(lang => lang !== code) });
+      }
+    });
+  } else {
+    targetLangs.push(code);
+    recentLangs = [code, ...recentLangs.filter(lang => lang !== code)].slice(0, MAX_RECENT_LANGS);
+  }
+  chrome.storage.sync.set({ targetLangs, recentTargetLangs: recentLangs });
+  console.log("🔤 Languages set to:", targetLangs.join(", "));
+  renderLanguagePicker();
+}
+
+function createLangOption(code) {
+  const label = document.createElement('label');
+  label.className = 'lang-option';
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = targetLangs.includes(code);
+  input.addEventListener('change', () => toggleLang(code));
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(langName(code)));
+  return label;
+}
+
+function appendLangSection(title, codes) {
+  if (codes.length === 0) return;
+  const heading = document.createElement('div');
+  heading.className = 'lang-section';
+  heading.textContent = title;
+  langListEl.appendChild(heading);
+  codes.forEach(code => langListEl.appendChild(createLangOption(code)));
+}
+
+function renderLanguagePicker() {
+  selectedLangsEl.textContent = '';
+  for (const code of targetLangs) {
+    const chip = document.createElement('button');
+    chip.className = 'lang-chip';
+    chip.textContent = `${langName(code)} ✕`;
+    chip.title = targetLangs.length > 1 ? 'Remove' : 'At least one language is needed';
+    chip.addEventListener('click', () => toggleLang(code));
+    selectedLangsEl.appendChild(chip);
+  }
+
+  langListEl.textContent = '';
+  const query = langSearchEl.value.trim().toLowerCase();
+  if (query) {
+    const matches = languages.filter(({ code, name }) => name.toLowerCase().includes(query) || code.toLowerCase() === query);
+    appendLangSection('Results', matches.map(({ code }) => code));
+    if (matches.length === 0) {
+      const note = document.createElement('div');
+      note.className = 'lang-note';
+      note.textContent = 'No matching language';
+      langListEl.appendChild(note);
+    }
+  } else {
+    appendLangSection('Recent', recentLangs.filter(code => languageNames.has(code)));
+    appendLangSection('All languages', languages.map(({ code }) => code));
+  }
+
+  if (languageListError) {
+    const note = document.createElement('div');
+    note.className = 'lang-note';
+    note.textContent = `Couldn't load the full list: ${languageListError}`;
+    langListEl.appendChild(note);
+  }
+}
+
+langSearchEl.addEventListener('input', renderLanguagePicker);
+
+async function loadLanguages() {
+  let result = null;
+  try {
+    result = await chrome.runtime.sendMessage({ type: 'GET_LANGUAGES' });
+  } catch {}
+  languages = result?.languages || [];
+  languageNames = new Map(languages.map(({ code, name }) => [code, name]));
+  languageListError = result?.error || null;
+  renderLanguagePicker();
+}
 
 // ---------- On popup open ----------
-chrome.storage.sync.get("targetLang", (data) => {
-  if (data.targetLang) langSelect.value = data.targetLang;
+// Older versions stored a single targetLang
+chrome.storage.sync.get(["targetLangs", "targetLang", "recentTargetLangs"], (data) => {
+  targetLangs = data.targetLangs?.length ? data.targetLangs : [data.targetLang || 'es'];
+  recentLangs = data.recentTargetLangs || [];
+  loadLanguages();
 });
 
-chrome.storage.local.get("isRunning", (data) => {
-  if (data.isRunning) {
-    // If running, keep Stop enabled
-    startBtn.disabled = true;
-    stopBtn.disabled = false;
-    const langName = langSelect.options[langSelect.selectedIndex].text;
-    setStatus(`Translating to ${langName}`, 'running');
+chrome.tabs.query({ active: true, currentWindow: true }, async ([tab]) => {
+  currentTabId = tab?.id ?? null;
+  refreshDiagnostics();
+  setInterval(refreshDiagnostics, DIAGNOSTICS_POLL_MS);
+  const state = await refreshSessions();
+  if (state === 'running') {
+    setStatus(`Translating to ${currentLangName()}`, 'running');
+  } else if (state === 'starting' || state === 'reconnecting') {
+    setStatus(state === 'starting' ? 'Starting transcription...' : 'Reconnecting...', 'default');
+  } else if (state === 'error') {
+    setStatus('❌ Session failed, stopping...', 'error');
   } else {
-    // Default: not running
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
     setStatus('Ready to start', 'default');
   }
 });
@@ -0,0 +1,23 @@
+// Speech recognition defaults, shared by the offscreen document (which streams with them)
+// and the options page (which edits them). Stored settings override these per key.
+
+export const DEFAULT_TRANSCRIPTION_SETTINGS = {
+  model: 'nova-3-general',
+  languageMode: 'multi',   // 'multi' (code-switching) | 'fixed'
+  language: 'en',
+  endpointing: 100,        // Recommended 100ms for code-switching
+  keyterms: [],
+  profanityFilter: false,
+  redact: '',              // '' | 'pci' | 'pii' | 'ssn' | 'numbers'
+  numerals: false
+};
+
+// Silence gate: frames below the threshold are held back (only KeepAlive goes out).
+// The last prerollMs of held frames are flushed when speech starts so onsets are not
+// clipped, and the gate stays open for hangoverMs after the last loud frame.
+export const DEFAULT_VAD_GATE = {
+  enabled: true,
+  thresholdDb: -55,
+  hangoverMs: 800,
+  prerollMs: 300
+};
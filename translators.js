@@ -0,0 +1,224 @@
+// Translation backends, used by the background service worker (which serves the overlay's
+// TRANSLATE requests, so credentials never reach the meeting page) and by the options page.
+// Each provider exposes translate({ text, target, source, html }, config, signal) and resolves to
+// { text, detectedSource }; failures throw with the service's own message where it has one
+// and a `kind` saying what went wrong (see translationError).
+// With `html` the text is markup whose translate="no" spans must be left alone (see glossary.js).
+// Providers with supportsContext also take `context`, the sentence spoken before, which
+// steers word choice without being translated itself.
+// languages(config, signal) resolves to the supported target languages as [{ code, name }].
+// `config` holds the stored credentials: googleApiKey, deeplApiKey, azureTranslatorKey,
+// azureTranslatorRegion, libreTranslateUrl and libreTranslateApiKey.
+
+export const DEFAULT_TRANSLATION_PROVIDER = 'google';
+
+// Storage keys read by every provider's config
+export const TRANSLATION_CONFIG_KEYS = [
+  'translationProvider',
+  'googleApiKey',
+  'deeplApiKey',
+  'azureTranslatorKey',
+  'azureTranslatorRegion',
+  'libreTranslateUrl',
+  'libreTranslateApiKey'
+];
+
+// Deepgram reports regional codes ("en-US"); most services want the base language
+function baseLanguage(code) {
+  return code && code !== 'auto' ? code.split('-')[0].toLowerCase() : null;
+}
+
+// kind is 'auth' (credentials missing or rejected), 'quota' (used up or rate limited),
+// 'network' (the service could not be reached) or 'service' (anything else it answered with).
+// Rate-limited responses also carry retryAfterMs when the service says how long to wait.
+function translationError(message, kind = 'service', extra = {}) {
+  return Object.assign(new Error(message), { kind, ...extra });
+}
+
+// fetch() rejects with a TypeError when the request never got an answer, and with a
+// TimeoutError when an AbortSignal.timeout() ran out first
+export function translationErrorKind(error) {
+  if (error.kind) return error.kind;
+  return error instanceof TypeError || error.name === 'TimeoutError' ? 'network' : 'service';
+}
+
+function responseErrorKind(status, detail) {
+  // DeepL answers 456 once the character quota is used up
+  if (status === 429 || status === 456) return 'quota';
+  // Google and Azure report exhausted daily quotas as 403
+  if (status === 401 || status === 403) return /quota|limit/i.test(detail) ? 'quota' : 'auth';
+  return 'service';
+}
+
+function retryAfterMs(resp) {
+  const value = resp.headers.get('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+async function readJsonError(resp) {
+  let detail = '';
+  try {
+    const data = await resp.json();
+    detail = data.error?.message || data.message || data.error || '';
+  } catch {}
+  return translationError(`${detail || resp.statusText || 'Request failed'} (HTTP ${resp.status})`, responseErrorKind(resp.status, detail), {
+    status: resp.status,
+    retryAfterMs: retryAfterMs(resp)
+  });
+}
+
+const googleTranslator = {
+  id: 'google',
+  name: 'Google Translate',
+  async translate({ text, target, source, html }, config, signal) {
+    if (!config.googleApiKey) throw translationError('Google Translate API key is not set', 'auth');
+    const body = { q: text, target, format: html ? 'html' : 'text' };
+    if (baseLanguage(source)) body.source = baseLanguage(source);
+    // Header rather than ?key= so the key stays out of URLs and request logs
+    const resp = await fetch('https://translation.googleapis.com/language/translate/v2', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Goog-Api-Key': config.googleApiKey },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    const translation = (await resp.json()).data?.translations?.[0];
+    if (!translation) throw translationError('Unexpected response from Google Translate');
+    return { text: translation.translatedText, detectedSource: translation.detectedSourceLanguage || baseLanguage(source) };
+  },
+  async languages(config, signal) {
+    if (!config.googleApiKey) throw translationError('Google Translate API key is not set', 'auth');
+    const resp = await fetch('https://translation.googleapis.com/language/translate/v2/languages?target=en', {
+      headers: { 'X-Goog-Api-Key': config.googleApiKey },
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    const languages = (await resp.json()).data?.languages || [];
+    return languages.map(({ language, name }) => ({ code: language, name: name || language }));
+  }
+};
+
+// DeepL wants upper-case codes and a regional variant for English and Portuguese targets
+const DEEPL_TARGETS = { en: 'EN-US', pt: 'PT-BR' };
+
+function deeplHost(apiKey) {
+  // Free-plan keys end in ":fx" and live on a separate host
+  return apiKey.endsWith(':fx') ? 'api-free.deepl.com' : 'api.deepl.com';
+}
+
+const deeplTranslator = {
+  id: 'deepl',
+  name: 'DeepL',
+  supportsContext: true,
+  async translate({ text, target, source, html, context }, config, signal) {
+    if (!config.deeplApiKey) throw translationError('DeepL API key is not set', 'auth');
+    const host = deeplHost(config.deeplApiKey);
+    const body = { text: [text], target_lang: DEEPL_TARGETS[target] || target.toUpperCase() };
+    if (baseLanguage(source)) body.source_lang = baseLanguage(source).toUpperCase();
+    if (html) body.tag_handling = 'html';
+    if (context) body.context = context;
+    const resp = await fetch(`https://${host}/v2/translate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `DeepL-Auth-Key ${config.deeplApiKey}`
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    const translation = (await resp.json()).translations?.[0];
+    if (!translation) throw translationError('Unexpected response from DeepL');
+    return { text: translation.text, detectedSource: translation.detected_source_language?.toLowerCase() };
+  },
+  async languages(config, signal) {
+    if (!config.deeplApiKey) throw translationError('DeepL API key is not set', 'auth');
+    const resp = await fetch(`https://${deeplHost(config.deeplApiKey)}/v2/languages?type=target`, {
+      headers: { Authorization: `DeepL-Auth-Key ${config.deeplApiKey}` },
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    return (await resp.json()).map(({ language, name }) => ({ code: language.toLowerCase(), name }));
+  }
+};
+
+// Azure uses script-qualified codes for Chinese
+const AZURE_LANGUAGES = { zh: 'zh-Hans' };
+
+const azureTranslator = {
+  id: 'azure',
+  name: 'Azure Translator',
+  async translate({ text, target, source, html }, config, signal) {
+    if (!config.azureTranslatorKey) throw translationError('Azure Translator key is not set', 'auth');
+    const params = new URLSearchParams({ 'api-version': '3.0', to: AZURE_LANGUAGES[target] || target });
+    if (html) params.set('textType', 'html');
+    const from = baseLanguage(source);
+    if (from) params.set('from', AZURE_LANGUAGES[from] || from);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Ocp-Apim-Subscription-Key': config.azureTranslatorKey
+    };
+    // Regional and multi-service resources must name their region
+    if (config.azureTranslatorRegion) headers['Ocp-Apim-Subscription-Region'] = config.azureTranslatorRegion;
+    const resp = await fetch(`https://api.cognitive.microsofttranslator.com/translate?${params}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify([{ Text: text }]),
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    const result = (await resp.json())[0];
+    const translation = result?.translations?.[0];
+    if (!translation) throw translationError('Unexpected response from Azure Translator');
+    return { text: translation.text, detectedSource: result.detectedLanguage?.language || from };
+  },
+  // The language list is public; no key needed
+  async languages(config, signal) {
+    const resp = await fetch('https://api.cognitive.microsofttranslator.com/languages?api-version=3.0&scope=translation', { signal });
+    if (!resp.ok) throw await readJsonError(resp);
+    const languages = (await resp.json()).translation || {};
+    // Map back to the plain codes the rest of the extension uses
+    const plain = Object.fromEntries(Object.entries(AZURE_LANGUAGES).map(([code, azure]) => [azure, code]));
+    return Object.entries(languages).map(([code, { name }]) => ({ code: plain[code] || code, name }));
+  }
+};
+
+const libreTranslator = {
+  id: 'libre',
+  name: 'LibreTranslate',
+  async translate({ text, target, source, html }, config, signal) {
+    if (!config.libreTranslateUrl) throw translationError('LibreTranslate server URL is not set', 'auth');
+    const body = { q: text, source: baseLanguage(source) || 'auto', target, format: html ? 'html' : 'text' };
+    if (config.libreTranslateApiKey) body.api_key = config.libreTranslateApiKey;
+    const resp = await fetch(`${config.libreTranslateUrl.replace(/\/+$/, '')}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!resp.ok) throw await readJsonError(resp);
+    const data = await resp.json();
+    if (typeof data.translatedText !== 'string') throw translationError('Unexpected response from LibreTranslate');
+    return { text: data.translatedText, detectedSource: data.detectedLanguage?.language || baseLanguage(source) };
+  },
+  async languages(config, signal) {
+    if (!config.libreTranslateUrl) throw translationError('LibreTranslate server URL is not set', 'auth');
+    const resp = await fetch(`${config.libreTranslateUrl.replace(/\/+$/, '')}/languages`, { signal });
+    if (!resp.ok) throw await readJsonError(resp);
+    return (await resp.json()).map(({ code, name }) => ({ code, name }));
+  }
+};
+
+export const TRANSLATION_PROVIDERS = {
+  google: googleTranslator,
+  deepl: deeplTranslator,
+  azure: azureTranslator,
+  libre: libreTranslator
+};
+
+export function getTranslationProvider(id) {
+  return TRANSLATION_PROVIDERS[id] || TRANSLATION_PROVIDERS[DEFAULT_TRANSLATION_PROVIDER];
+}
@@ -1,17 +1,110 @@
+// Resamples every input channel to targetSampleRate, converts to 16-bit PCM and
+// posts interleaved frames of frameSamples (per channel) as transferable ArrayBuffers,
+// together with the frame's level in dBFS (loudest channel) for the silence gate.
+// A windowed-sinc low-pass runs at the capture rate before decimation so content
+// above the target Nyquist (sibilants, mostly) does not alias back into speech.
+
+const FILTER_TAPS = 97;
+
+// Blackman-windowed sinc low-pass, normalized to unity gain at DC
+function designLowPass(cutoff, taps) {
+  const h = new Float32Array(taps);
+  const mid = (taps - 1) / 2;
+  let sum = 0;
+  for (let k = 0; k < taps; k++) {
+    const x = k - mid;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const w = 0.42 - 0.5 * Math.cos((2 * Math.PI * k) / (taps - 1)) + 0.08 * Math.cos((4 * Math.PI * k) / (taps - 1));
+    h[k] = sinc * w;
+    sum += h[k];
+  }
+  for (let k = 0; k < taps; k++) h[k] /= sum;
+  return h;
+}
+
 class PCMWorklet extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options?.processorOptions || {};
+    this.targetRate = opts.targetSampleRate || 16000;
+    this.frameSamples = opts.frameSamples || Math.round(this.targetRate / 10);
+    this.channels = opts.channels || options?.channelCount || 1;
+    this.ratio = sampleRate / this.targetRate; // input samples per output sample
+
+    // Only filter when decimating; put the transition band just below the target Nyquist
+    if (this.ratio > 1) {
+      const transitionHz = (5.5 * sampleRate) / FILTER_TAPS;
+      const cutoffHz = Math.max(this.targetRate / 2 - transitionHz / 2, this.targetRate / 4);
+      this.taps = designLowPass(cutoffHz / sampleRate, FILTER_TAPS);
+    } else {
+      this.taps = null;
+    }
+
+    // Per channel: doubled ring buffer so the FIR window is always contiguous,
+    // and the previous filtered sample for interpolation
+    this.state = Array.from({ length: this.channels }, () => ({
+      hist: new Float32Array(FILTER_TAPS * 2),
+      pos: 0,
+      prev: 0
+    }));
+    this.current = new Float32Array(this.channels);
+    this.nextOut = 1; // Position of the next output sample, in input samples past `prev`
+
+    this.frame = new Int16Array(this.frameSamples * this.channels);
+    this.frameIndex = 0;
+    this.energy = new Float64Array(this.channels);
+  }
+
+  filter(state, x) {
+    if (!this.taps) return x;
+    const n = this.taps.length;
+    state.pos = (state.pos + 1) % n;
+    state.hist[state.pos] = x;
+    state.hist[state.pos + n] = x;
+    const base = state.pos + 1;
+    let acc = 0;
+    for (let k = 0; k < n; k++) acc += this.taps[k] * state.hist[base + k];
+    return acc;
+  }
+
+  emit(t) {
+    for (let c = 0; c < this.channels; c++) {
+      const prev = this.state[c].prev;
+      const s = Math.max(-1, Math.min(1, prev + (this.current[c] - prev) * t));
+      this.frame[this.frameIndex++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+      this.energy[c] += s * s;
+    }
+    if (this.frameIndex === this.frame.length) {
+      const out = this.frame;
+      const loudest = Math.max(...this.energy);
+      const levelDb = 10 * Math.log10(loudest / this.frameSamples + 1e-12);
+      this.port.postMessage({ pcm: out.buffer, levelDb }, [out.buffer]);
+      this.frame = new Int16Array(this.frameSamples * this.channels);
+      this.frameIndex = 0;
+      this.energy.fill(0);
+    }
+  }
+
   process(inputs) {
     const input = inputs[0];
-    if (!input || input.length === 0) return true;
-    const channel0 = input[0];
-    if (!channel0) return true;
-    // Copy to a transferable buffer
-    const copy = new Float32Array(channel0.length);
-    copy.set(channel0);
-    this.port.postMessage(copy, [copy.buffer]);
+    if (!input || input.length === 0 || !input[0]) return true;
+    const length = input[0].length;
+
+    for (let i = 0; i < length; i++) {
+      for (let c = 0; c < this.channels; c++) {
+        const channel = input[c] || input[0];
+        this.current[c] = this.filter(this.state[c], channel[i]);
+      }
+      // Linear interpolation between the previous and current filtered sample
+      while (this.nextOut <= 1) {
+        this.emit(this.nextOut);
+        this.nextOut += this.ratio;
+      }
+      this.nextOut -= 1;
+      for (let c = 0; c < this.channels; c++) this.state[c].prev = this.current[c];
+    }
     return true;
   }
 }
 
 registerProcessor('pcm-worklet', PCMWorklet);
-
-